@@ -1,7 +1,10 @@
 const elasticsearch         = require('elasticsearch');
+const fs                    = require('fs');
 const moment                = require('moment');
 const nock                  = require('nock');
+const os                    = require('os');
 const path                  = require('path');
+const { Readable }          = require('stream');
 const winston               = require('winston');
 const WinstonNullTransport  = require('winston-null-transport');
 
@@ -171,6 +174,58 @@ describe('ElasticTools', () => {
 
             expect(scope.isDone()).toBeTruthy();
         })
+
+        it('waits for the index health', async () => {
+            const indexName = 'bryantestidx';
+
+            const scope = nock('http://example.org:9200')
+                .put(`/${indexName}`, () => true)
+                .reply(200, {"acknowledged":true,"shards_acknowledged":true,"index":indexName} )
+                .get(`/_cluster/health/${indexName}`)
+                .query({ wait_for_status: 'green', timeout: '1000ms' })
+                .reply(200, { "cluster_name": "test", "status": "green", "timed_out": false });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.createIndex(indexName, {}, {}, { waitForStatus: 'green', healthTimeout: 1000 });
+
+            expect(scope.isDone()).toBeTruthy();
+        })
+
+        it('throws when the index health times out', async () => {
+            const indexName = 'bryantestidx';
+
+            const scope = nock('http://example.org:9200')
+                .put(`/${indexName}`, () => true)
+                .reply(200, {"acknowledged":true,"shards_acknowledged":false,"index":indexName} )
+                .get(`/_cluster/health/${indexName}`)
+                .query({ wait_for_status: 'yellow', timeout: '1000ms' })
+                .reply(408, { "cluster_name": "test", "status": "red", "timed_out": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.createIndex(indexName, {}, {}, { waitForStatus: 'yellow', healthTimeout: 1000 });
+            } catch (err) {
+                expect(err).toMatchObject({
+                    message: `Index ${indexName} did not reach yellow health within 1000ms, it is red`,
+                    indexName
+                });
+            }
+
+            expect(scope.isDone()).toBeTruthy();
+        })
     })
 
     describe('optimizeIndex', () => {
@@ -201,6 +256,123 @@ describe('ElasticTools', () => {
 
         });
 
+        const segmentsResponse = (count) => ({
+            "_shards": { "total": 2, "successful": 2, "failed": 0 },
+            "indices": {
+                "bryantestidx": {
+                    "shards": {
+                        "0": [
+                            { "routing": { "state": "STARTED", "primary": true, "node": "n1" }, "num_committed_segments": count, "num_search_segments": count, "segments": {} },
+                            { "routing": { "state": "STARTED", "primary": false, "node": "n2" }, "num_committed_segments": 5, "num_search_segments": 5, "segments": {} }
+                        ]
+                    }
+                }
+            }
+        });
+
+        it("polls the segments until merged", async() => {
+            const indexName = 'bryantestidx';
+
+            const scope = nock('http://example.org:9200')
+                .post(`/${indexName}/_forcemerge?max_num_segments=1`, body => true)
+                .reply(200, {"_shards":{"total":2,"successful":1,"failed":0}})
+                .get(`/${indexName}/_segments`)
+                .reply(200, segmentsResponse(3))
+                .get(`/${indexName}/_segments`)
+                .reply(200, segmentsResponse(1));
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.optimizeIndex(indexName, { waitForMerge: true, pollInterval: 1 });
+
+            expect(actual).toEqual({ taskId: null, segmentCount: 1, maxSegmentsPerShard: 1 });
+            expect(scope.isDone()).toBeTruthy();
+        })
+
+        it("polls the merge task", async() => {
+            const indexName = 'bryantestidx';
+            const taskId = 'oTUltX4IQMOUUVeiohTt8A:12345';
+
+            const scope = nock('http://example.org:9200')
+                .post(`/${indexName}/_forcemerge`, body => true)
+                .query({ max_num_segments: 1, wait_for_completion: false })
+                .reply(200, { "task": taskId })
+                .get(`/_tasks/${encodeURIComponent(taskId)}`)
+                .reply(200, { "completed": false, "task": {} })
+                .get(`/_tasks/${encodeURIComponent(taskId)}`)
+                .reply(200, { "completed": true, "task": {}, "response": {} })
+                .get(`/${indexName}/_segments`)
+                .reply(200, segmentsResponse(1));
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '7.x'
+            });
+
+            const estools = new ElasticTools(logger, client, { version: '7.10.2' });
+
+            const actual = await estools.optimizeIndex(indexName, { waitForMerge: true, pollInterval: 1 });
+
+            expect(actual).toEqual({ taskId, segmentCount: 1, maxSegmentsPerShard: 1 });
+            expect(scope.isDone()).toBeTruthy();
+        })
+
+        it("polls the segments when the merge request times out", async() => {
+            const indexName = 'bryantestidx';
+
+            const scope = nock('http://example.org:9200')
+                .post(`/${indexName}/_forcemerge?max_num_segments=1`, body => true)
+                .reply(504, { "error": "gateway timeout" })
+                .get(`/${indexName}/_segments`)
+                .reply(200, segmentsResponse(3))
+                .get(`/${indexName}/_segments`)
+                .reply(200, segmentsResponse(1));
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.optimizeIndex(indexName, { waitForMerge: true, pollInterval: 1 });
+
+            expect(actual).toEqual({ taskId: null, segmentCount: 1, maxSegmentsPerShard: 1 });
+            expect(scope.isDone()).toBeTruthy();
+        })
+
+        it("throws when the merge misses the deadline", async() => {
+            const indexName = 'bryantestidx';
+
+            const scope = nock('http://example.org:9200')
+                .post(`/${indexName}/_forcemerge?max_num_segments=1`, body => true)
+                .reply(200, {"_shards":{"total":2,"successful":1,"failed":0}})
+                .get(`/${indexName}/_segments`)
+                .reply(200, segmentsResponse(3));
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.optimizeIndex(indexName, { waitForMerge: true, deadline: 0 });
+            } catch (err) {
+                expect(err).toMatchObject({
+                    message: `Force merge of index ${indexName} did not complete within 0ms`
+                });
+            }
+            expect(scope.isDone()).toBeTruthy();
+        })
+
         //The following test simulate slow responses, something we have seen with Elasticsearch.
         //So we increase the timeout to 1.5 minutes for this request. These need to be tested upon change,
         //but it would slow down tests.
@@ -448,6 +620,76 @@ describe('ElasticTools', () => {
             expect(nock.isDone()).toBeTruthy();
         })
 
+        it ('swaps when the guards pass', async () => {
+            const indexName = aliasName + "_1";
+            const removeIndex = aliasName + "_2";
+            const scope = nock('http://example.org:9200');
+
+            scope.get(`/_alias/${aliasName}`)
+                .reply(200, {
+                    [removeIndex]: { "aliases": { [aliasName]: {} } }
+                });
+            scope.post(`/${indexName}/_refresh`)
+                .reply(200, { "_shards": { "total": 2, "successful": 1, "failed": 0 } });
+            scope.post(`/${indexName}/_count`)
+                .reply(200, { "count": 95 });
+            scope.post(`/${removeIndex}/_count`)
+                .reply(200, { "count": 100 });
+            scope.post(`/_aliases`, {
+                    actions: [
+                        { add: { indices: indexName, alias: aliasName } },
+                        { remove: { indices: [ removeIndex ], alias: aliasName } }
+                    ]
+                })
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.setAliasToSingleIndex(aliasName, indexName, { minDocCount: 10, maxDocCountChangePercent: 10 });
+
+            expect(nock.isDone()).toBeTruthy();
+        })
+
+        it ('refuses to swap in a nearly empty index', async () => {
+            const indexName = aliasName + "_1";
+            const removeIndex = aliasName + "_2";
+            const scope = nock('http://example.org:9200');
+
+            scope.get(`/_alias/${aliasName}`)
+                .reply(200, {
+                    [removeIndex]: { "aliases": { [aliasName]: {} } }
+                });
+            scope.post(`/${indexName}/_refresh`)
+                .reply(200, { "_shards": { "total": 2, "successful": 1, "failed": 0 } });
+            scope.post(`/${indexName}/_count`)
+                .reply(200, { "count": 3 });
+            scope.post(`/${removeIndex}/_count`)
+                .reply(200, { "count": 100 });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.setAliasToSingleIndex(aliasName, indexName, { maxDocCountChangePercent: 10 });
+            } catch (err) {
+                expect(err).toMatchObject({
+                    message: `Index ${indexName} has 3 documents, 97.0% different than the 100 documents in ${removeIndex}, more than the allowed 10%`
+                });
+            }
+
+            expect(nock.isDone()).toBeTruthy();
+        })
+
     });
 
     describe('updateAlias', () => {
@@ -760,6 +1002,23 @@ describe('ElasticTools', () => {
 
     describe('indexDocument', () => {
 
+        it('indexes the document with a type', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/twitter/tweet/11`, { "username": "bob", "message": "tweettweet" })
+                .reply(201, { "_index": "twitter", "_type": "tweet", "_id": "11", "result": "created" });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.indexDocument("twitter", "tweet", "11", { "username": "bob", "message": "tweettweet" });
+
+            expect(scope.isDone()).toBeTruthy();
+        });
+
     });
 
     describe('indexDocumentBulk', () => {
@@ -995,6 +1254,86 @@ describe('ElasticTools', () => {
             expect(nock.isDone()).toBeTruthy();
         })
 
+        const rejectedItem = (id) => ({
+            "index": {
+                "_index": "twitter",
+                "_type": "tweet",
+                "_id": id,
+                "status": 429,
+                "error": {
+                    "type": "es_rejected_execution_exception",
+                    "reason": "rejected execution of org.elasticsearch.transport.TransportService$7@1a2b3c4d on EsThreadPoolExecutor[bulk, queue capacity = 200]"
+                }
+            }
+        });
+
+        const createdItem = (id) => ({
+            "index": { "_index": "twitter", "_type": "tweet", "_id": id, "result": "created", "status": 201 }
+        });
+
+        const docReq = (id) => `{"index":{"_index":"twitter","_type":"tweet","_id":"${id}"}}\n` +
+                               '{"username":"bob","message":"tweettweet"}\n';
+
+        it('retries only the rejected items', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === docReq("11") + docReq("12"))
+                .reply(200, { "took": 1, "errors": true, "items": [ createdItem("11"), rejectedItem("12") ] })
+                .post(`/_bulk`, body => body === docReq("12"))
+                .reply(200, { "took": 1, "errors": false, "items": [ createdItem("12") ] });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.indexDocumentBulk(
+                "twitter",
+                "tweet",
+                [
+                    [ "11", { "username": "bob", "message": "tweettweet" } ],
+                    [ "12", { "username": "bob", "message": "tweettweet" } ]
+                ],
+                { retry: { initialDelay: 1 } }
+            );
+
+            expect(actual).toEqual({
+                created: ["11", "12"],
+                updated: [],
+                errors: []
+            });
+            expect(scope.isDone()).toBeTruthy();
+        })
+
+        it('returns rejected items after the last attempt', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === docReq("11"))
+                .times(2)
+                .reply(200, { "took": 1, "errors": true, "items": [ rejectedItem("11") ] });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.indexDocumentBulk(
+                "twitter",
+                "tweet",
+                [ [ "11", { "username": "bob", "message": "tweettweet" } ] ],
+                { retry: { maxAttempts: 2, initialDelay: 1 } }
+            );
+
+            expect(actual).toEqual({
+                created: [],
+                updated: [],
+                errors: [{ id: "11", error: rejectedItem("11").index.error }]
+            });
+            expect(scope.isDone()).toBeTruthy();
+        })
+
     });
 
     describe('deleteIndex', () => {
@@ -1135,6 +1474,2265 @@ describe('ElasticTools', () => {
 
             expect(nock.isDone()).toBeTruthy();
         })
+
+        it ('keeps the minimum number of indices', async () => {
+
+            const now = Date.now();
+
+            //Set the prefix
+            const aliasName = 'bryantestidx';
+
+            const scope = nock('http://example.org:9200');
+
+            scope.get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [aliasName + "_1"]:{ "settings": {"index": {"creation_date": now }}}, //Newest, keep
+                    [aliasName + "_2"]:{ "settings": {"index": {"creation_date": moment(now).subtract(10, 'days').valueOf() }}}, //Second newest, keep
+                    [aliasName + "_3"]:{ "settings": {"index": {"creation_date": moment(now).subtract(11, 'days').valueOf() }}} //Should delete
+                });
+
+            scope.get(`/_alias/${aliasName}`)
+                .reply(404, {
+                    "error": `alias [${aliasName}] missing`,
+                    "status": 404
+                });
+
+            //None of the indices are archived.
+            scope.get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', h: 'index,status' })
+                .reply(200, [
+                    { "index": aliasName + "_1", "status": "open" },
+                    { "index": aliasName + "_2", "status": "open" },
+                    { "index": aliasName + "_3", "status": "open" }
+                ]);
+            scope.get(`/${aliasName}*/_settings/index.blocks.write`)
+                .reply(200, {});
+
+            scope.delete(`/${aliasName}_3`)
+                .reply(200, {
+                    "acknowledged": true
+                })
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const plan = await estools.cleanupOldIndices(aliasName, 5, 2);
+
+            expect(plan.map(item => item.index)).toEqual([aliasName + "_3"]);
+            expect(nock.isDone()).toBeTruthy();
+        })
+
+        it ('returns the plan without deleting on a dry run', async () => {
+
+            const now = Date.now();
+            const oldDate = moment(now).subtract(10, 'days').valueOf();
+
+            //Set the prefix
+            const aliasName = 'bryantestidx';
+
+            const scope = nock('http://example.org:9200');
+
+            scope.get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [aliasName + "_1"]:{ "settings": {"index": {"creation_date": now }}},
+                    [aliasName + "_2"]:{ "settings": {"index": {"creation_date": oldDate }}}
+                });
+
+            scope.get(`/_alias/${aliasName}`)
+                .reply(200, {
+                    [aliasName + "_1"]: {
+                        "aliases": {
+                            [aliasName]: {}
+                        }
+                    }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const plan = await estools.cleanupOldIndices(aliasName, 5, 0, { dryRun: true });
+
+            expect(plan).toEqual([{
+                index: aliasName + "_2",
+                creationDate: oldDate,
+                action: 'delete',
+                reason: expect.stringContaining('more than 5 days ago')
+            }]);
+            expect(nock.isDone()).toBeTruthy();
+        })
+    });
+
+    describe('runAliasedLoad', () => {
+        const aliasName = 'bryantestidx';
+        const idxRegex = new RegExp(`^/${aliasName}_\\d{8}_\\d{6}$`);
+
+        const bulkResponse = {
+            "took": 11,
+            "errors": false,
+            "items": [
+                { "index": { "_index": "x", "_type": "tweet", "_id": "11", "result": "created", "status": 201 } }
+            ]
+        };
+
+        it('loads, swaps and cleans up', async () => {
+            const scope = nock('http://example.org:9200');
+
+            scope.put(idxRegex).reply(200, { "acknowledged": true, "shards_acknowledged": true });
+            scope.post('/_bulk', () => true).reply(200, bulkResponse);
+            scope.post(/_forcemerge\?max_num_segments=1$/, () => true)
+                .reply(200, {"_shards":{"total":2,"successful":1,"failed":0}});
+            scope.get(`/_alias/${aliasName}`)
+                .reply(200, {
+                    [aliasName + "_1"]: { "aliases": { [aliasName]: {} } }
+                });
+            scope.post('/_aliases', () => true).reply(200, { "acknowledged": true });
+            scope.get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [aliasName + "_1"]:{ "settings": {"index": {"creation_date": Date.now() }}}
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const report = await estools.runAliasedLoad(
+                aliasName, {}, {},
+                [ [ [ "11", { "username": "bob" } ] ] ],
+                { type: 'tweet' }
+            );
+
+            expect(report).toMatchObject({
+                success: true,
+                stages: {
+                    create: { status: 'completed' },
+                    index: { status: 'completed', batches: 1, created: 1, updated: 0, errors: [] },
+                    optimize: { status: 'completed' },
+                    alias: { status: 'completed' },
+                    cleanup: { status: 'completed' }
+                }
+            });
+            expect(report.indexName).toMatch(/^bryantestidx_\d{8}_\d{6}$/);
+            expect(nock.isDone()).toBeTruthy();
+        });
+
+        it('deletes the new index and leaves the alias on failure', async () => {
+            const scope = nock('http://example.org:9200');
+
+            scope.put(idxRegex).reply(200, { "acknowledged": true, "shards_acknowledged": true });
+            scope.post('/_bulk', () => true).reply(500);
+            scope.delete(idxRegex).reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(3);
+            try {
+                await estools.runAliasedLoad(
+                    aliasName, {}, {},
+                    [ [ [ "11", { "username": "bob" } ] ] ],
+                    { type: 'tweet' }
+                );
+            } catch (err) {
+                expect(err.loadReport).toMatchObject({
+                    success: false,
+                    stages: {
+                        create: { status: 'completed' },
+                        index: { status: 'failed', error: 'Internal Server Error' },
+                        optimize: { status: 'skipped' },
+                        alias: { status: 'skipped' },
+                        cleanup: { status: 'skipped' }
+                    }
+                });
+                expect(err.message).toEqual('Internal Server Error');
+            }
+
+            expect(nock.isDone()).toBeTruthy();
+        });
+
+        it('reports a failed settings restore as part of the alias stage', async () => {
+            const scope = nock('http://example.org:9200');
+
+            scope.put(idxRegex).reply(200, { "acknowledged": true, "shards_acknowledged": true });
+            scope.put(/_settings$/, { index: { refresh_interval: '-1', number_of_replicas: 0 } })
+                .reply(200, { "acknowledged": true });
+            scope.post('/_bulk', () => true).reply(200, bulkResponse);
+            scope.post(/_forcemerge\?max_num_segments=1$/, () => true)
+                .reply(200, {"_shards":{"total":2,"successful":1,"failed":0}});
+            scope.put(/_settings$/, () => true).reply(500);
+            scope.delete(idxRegex).reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.runAliasedLoad(
+                    aliasName, {}, {},
+                    [ [ [ "11", { "username": "bob" } ] ] ],
+                    { type: 'tweet', bulkLoadSettings: true }
+                );
+            } catch (err) {
+                expect(err.loadReport).toMatchObject({
+                    success: false,
+                    stages: {
+                        create: { status: 'completed' },
+                        index: { status: 'completed' },
+                        optimize: { status: 'completed' },
+                        alias: { status: 'failed', error: 'Internal Server Error' },
+                        cleanup: { status: 'skipped' }
+                    }
+                });
+            }
+
+            expect(nock.isDone()).toBeTruthy();
+        });
+
+        it('deletes the new index when it does not get healthy', async () => {
+            const scope = nock('http://example.org:9200');
+
+            scope.put(idxRegex).reply(200, { "acknowledged": true, "shards_acknowledged": false });
+            scope.get(/^\/_cluster\/health\/bryantestidx_\d{8}_\d{6}$/)
+                .query({ wait_for_status: 'green', timeout: '1000ms' })
+                .reply(408, { "cluster_name": "test", "status": "yellow", "timed_out": true });
+            scope.delete(idxRegex).reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(3);
+            try {
+                await estools.runAliasedLoad(
+                    aliasName, {}, {},
+                    [ [ [ "11", { "username": "bob" } ] ] ],
+                    { type: 'tweet', waitForStatus: 'green', healthTimeout: 1000 }
+                );
+            } catch (err) {
+                expect(err.loadReport).toMatchObject({
+                    success: false,
+                    stages: {
+                        create: { status: 'failed' },
+                        index: { status: 'skipped' }
+                    }
+                });
+                expect(err.loadReport.indexName).toMatch(/^bryantestidx_\d{8}_\d{6}$/);
+            }
+
+            expect(nock.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('indexDocumentStream', () => {
+
+        const itemResponse = (id) => ({
+            "index": { "_index": "twitter", "_type": "tweet", "_id": id, "result": "created", "status": 201 }
+        });
+
+        const docReq = (id) => `{"index":{"_index":"twitter","_type":"tweet","_id":"${id}"}}\n` +
+                               '{"username":"bob","message":"tweettweet"}\n';
+
+        it('flushes batches by document count', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === docReq("1") + docReq("2"))
+                .reply(200, { "took": 1, "errors": false, "items": [ itemResponse("1"), itemResponse("2") ] })
+                .post(`/_bulk`, body => body === docReq("3"))
+                .reply(200, { "took": 1, "errors": false, "items": [ itemResponse("3") ] });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            async function* source() {
+                for (const id of ["1", "2", "3"]) {
+                    yield [ id, { "username": "bob", "message": "tweettweet" } ];
+                }
+            }
+
+            const actual = await estools.indexDocumentStream("twitter", "tweet", source(), { maxDocs: 2 });
+
+            expect(actual).toEqual({
+                created: ["1", "2", "3"],
+                updated: [],
+                errors: []
+            });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('flushes batches by size from a readable stream', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === docReq("1"))
+                .reply(200, { "took": 1, "errors": false, "items": [ itemResponse("1") ] })
+                .post(`/_bulk`, body => body === docReq("2"))
+                .reply(200, { "took": 1, "errors": false, "items": [ itemResponse("2") ] });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const source = Readable.from([
+                [ "1", { "username": "bob", "message": "tweettweet" } ],
+                [ "2", { "username": "bob", "message": "tweettweet" } ]
+            ]);
+
+            //Each request is a bit over 100 bytes, so only one fits.
+            const actual = await estools.indexDocumentStream("twitter", "tweet", source, { maxBytes: 150 });
+
+            expect(actual).toEqual({
+                created: ["1", "2"],
+                updated: [],
+                errors: []
+            });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('sends requests concurrently', async () => {
+            let active = 0;
+            let maxActive = 0;
+
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, () => true)
+                .times(4)
+                .reply(200, (uri, body) => {
+                    active++;
+                    maxActive = Math.max(maxActive, active);
+                    const id = body.match(/"_id":"(\d+)"/)[1];
+                    return new Promise(resolve => setTimeout(() => {
+                        active--;
+                        resolve({ "took": 1, "errors": false, "items": [ itemResponse(id) ] });
+                    }, 20));
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const source = ["1", "2", "3", "4"].map(id => [ id, { "username": "bob", "message": "tweettweet" } ]);
+
+            const actual = await estools.indexDocumentStream("twitter", "tweet", source, { maxDocs: 1, concurrency: 2 });
+
+            expect(actual.created.sort()).toEqual(["1", "2", "3", "4"]);
+            expect(maxActive).toEqual(2);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('throttles the documents per second', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === docReq("1"))
+                .reply(200, { "took": 1, "errors": false, "items": [ itemResponse("1") ] })
+                .post(`/_bulk`, body => body === docReq("2"))
+                .reply(200, { "took": 1, "errors": false, "items": [ itemResponse("2") ] });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const source = ["1", "2"].map(id => [ id, { "username": "bob", "message": "tweettweet" } ]);
+
+            const start = Date.now();
+            await estools.indexDocumentStream("twitter", "tweet", source, { maxDocs: 1, maxDocsPerSecond: 10 });
+
+            //The second document should not be sent until 100ms after the start.
+            expect(Date.now() - start).toBeGreaterThanOrEqual(95);
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('version support', () => {
+
+        it('indexes typeless documents for 7.x', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/twitter/_doc/11`, { "username": "bob", "message": "tweettweet" })
+                .reply(201, { "_index": "twitter", "_id": "11", "result": "created" });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '7.x'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.indexDocument("twitter", "tweet", "11", { "username": "bob", "message": "tweettweet" });
+
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('sends typeless bulk actions for 7.x', async () => {
+            const reqbody = '{"index":{"_index":"twitter","_id":"11"}}\n' +
+                            '{"username":"bob","message":"tweettweet"}\n';
+
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === reqbody)
+                .reply(200, {
+                    "took": 1,
+                    "errors": false,
+                    "items": [
+                        { "index": { "_index": "twitter", "_type": "_doc", "_id": "11", "result": "created", "status": 201 } }
+                    ]
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '7.x'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.indexDocumentBulk(
+                "twitter",
+                "tweet",
+                [ [ "11", { "username": "bob", "message": "tweettweet" } ] ]
+            );
+
+            expect(actual).toEqual({ created: ["11"], updated: [], errors: [] });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('removes the mapping type for 7.x', async () => {
+            const mappings = require(path.join(__dirname, 'data', '/mappings.json'));
+            const settings = require(path.join(__dirname, 'data', 'settings.json'));
+
+            const scope = nock('http://example.org:9200')
+                .put(`/bryantestidx`, {
+                    settings: settings.settings,
+                    mappings: mappings.mappings.resource
+                })
+                .reply(200, {"acknowledged":true,"shards_acknowledged":true,"index":"bryantestidx"} );
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '7.x'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.createIndex("bryantestidx", mappings, settings);
+
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('detects the version from the cluster', async () => {
+            //The newer clients wrap the response in { body, statusCode }
+            const client = {
+                connectionPool: {},
+                info: async () => ({
+                    statusCode: 200,
+                    body: { "version": { "distribution": "opensearch", "number": "2.11.0" } }
+                })
+            };
+
+            const estools = new ElasticTools(logger, client);
+
+            expect(await estools.adapter.getVersion()).toEqual({
+                distribution: 'opensearch',
+                number: '2.11.0',
+                major: 2,
+                minor: 11
+            });
+            expect(await estools.adapter.usesTypes()).toBe(false);
+        });
+
+        it('handles a 404 from the newer clients', async () => {
+            const err = new Error('Response Error');
+            err.meta = { statusCode: 404 };
+
+            const client = {
+                connectionPool: {},
+                indices: {
+                    getAlias: async () => { throw err; }
+                }
+            };
+
+            const estools = new ElasticTools(logger, client, { version: '8.11.0' });
+
+            expect(await estools.getIndicesForAlias('bryantestidx')).toEqual([]);
+        });
+    });
+
+    describe('rollbackAlias', () => {
+        const aliasName = 'bryantestidx';
+        const currentIdx = aliasName + '_20240102_030405';
+        const previousIdx = aliasName + '_20240101_030405';
+
+        const currentTime = moment('20240102_030405', 'YYYYMMDD_HHmmss').valueOf();
+        const previousTime = moment('20240101_030405', 'YYYYMMDD_HHmmss').valueOf();
+
+        it('points the alias to the previous index', async () => {
+            const scope = nock('http://example.org:9200');
+
+            scope.get(`/_alias/${aliasName}`)
+                .reply(200, {
+                    [currentIdx]: { "aliases": { [aliasName]: {} } }
+                });
+            scope.get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [currentIdx]: { "settings": {"index": {"creation_date": currentTime + 500 }}},
+                    [previousIdx]: { "settings": {"index": {"creation_date": previousTime + 500 }}}
+                });
+            scope.get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', h: 'index,status' })
+                .reply(200, [
+                    { "index": currentIdx, "status": "open" },
+                    { "index": previousIdx, "status": "open" }
+                ]);
+            scope.get(`/${aliasName}*/_settings/index.blocks.write`)
+                .reply(200, {});
+            scope.post(`/_aliases`, {
+                    actions: [
+                        { add: { indices: previousIdx, alias: aliasName } },
+                        { remove: { indices: [ currentIdx ], alias: aliasName } }
+                    ]
+                })
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.rollbackAlias(aliasName);
+
+            expect(actual).toEqual({
+                aliasName,
+                from: currentIdx,
+                to: previousIdx
+            });
+            expect(nock.isDone()).toBeTruthy();
+        });
+
+        it('refuses when there is no older index', async () => {
+            const scope = nock('http://example.org:9200');
+
+            scope.get(`/_alias/${aliasName}`)
+                .reply(200, {
+                    [currentIdx]: { "aliases": { [aliasName]: {} } }
+                });
+            scope.get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [currentIdx]: { "settings": {"index": {"creation_date": currentTime + 500 }}}
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.rollbackAlias(aliasName);
+            } catch (err) {
+                expect(err).toMatchObject({
+                    message: `No index older than ${currentIdx} exists for alias ${aliasName}, cannot roll back`
+                });
+            }
+            expect(nock.isDone()).toBeTruthy();
+        });
+
+        it('skips indices that have been archived', async () => {
+            const olderIdx = aliasName + '_20231231_030405';
+            const olderTime = moment('20231231_030405', 'YYYYMMDD_HHmmss').valueOf();
+
+            const scope = nock('http://example.org:9200');
+
+            scope.get(`/_alias/${aliasName}`)
+                .reply(200, {
+                    [currentIdx]: { "aliases": { [aliasName]: {} } }
+                });
+            scope.get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [currentIdx]: { "settings": {"index": {"creation_date": currentTime + 500 }}},
+                    [previousIdx]: { "settings": {"index": {"creation_date": previousTime + 500 }}},
+                    [olderIdx]: { "settings": {"index": {"creation_date": olderTime + 500 }}}
+                });
+            scope.get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', h: 'index,status' })
+                .reply(200, [
+                    { "index": currentIdx, "status": "open" },
+                    { "index": previousIdx, "status": "close" },
+                    { "index": olderIdx, "status": "open" }
+                ]);
+            scope.get(`/${aliasName}*/_settings/index.blocks.write`)
+                .reply(200, {});
+            scope.post(`/_aliases`, {
+                    actions: [
+                        { add: { indices: olderIdx, alias: aliasName } },
+                        { remove: { indices: [ currentIdx ], alias: aliasName } }
+                    ]
+                })
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.rollbackAlias(aliasName);
+
+            expect(actual).toEqual({
+                aliasName,
+                from: currentIdx,
+                to: olderIdx
+            });
+            expect(nock.isDone()).toBeTruthy();
+        });
+
+        it('refuses when the older indices are archived', async () => {
+            const scope = nock('http://example.org:9200');
+
+            scope.get(`/_alias/${aliasName}`)
+                .reply(200, {
+                    [currentIdx]: { "aliases": { [aliasName]: {} } }
+                });
+            scope.get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [currentIdx]: { "settings": {"index": {"creation_date": currentTime + 500 }}},
+                    [previousIdx]: { "settings": {"index": {"creation_date": previousTime + 500 }}}
+                });
+            scope.get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', h: 'index,status' })
+                .reply(200, [
+                    { "index": currentIdx, "status": "open" },
+                    { "index": previousIdx, "status": "close" }
+                ]);
+            scope.get(`/${aliasName}*/_settings/index.blocks.write`)
+                .reply(200, {});
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.rollbackAlias(aliasName);
+            } catch (err) {
+                expect(err).toMatchObject({
+                    message: `Every index older than ${currentIdx} for alias ${aliasName} is archived, cannot roll back`
+                });
+            }
+            expect(nock.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('withBulkLoadSettings', () => {
+        const indexName = 'bryantestidx_1';
+        const settings = { settings: { index: { number_of_shards: "1", number_of_replicas: "2" } } };
+
+        it('restores the settings after the load', async () => {
+            const scope = nock('http://example.org:9200')
+                .put(`/${indexName}/_settings`, { index: { refresh_interval: '-1', number_of_replicas: 0 } })
+                .reply(200, { "acknowledged": true })
+                .put(`/${indexName}/_settings`, { index: { refresh_interval: null, number_of_replicas: "2" } })
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.withBulkLoadSettings(indexName, settings, async (idx) => `loaded ${idx}`);
+
+            expect(actual).toEqual(`loaded ${indexName}`);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('restores the settings when the load throws', async () => {
+            const scope = nock('http://example.org:9200')
+                .put(`/${indexName}/_settings`, { index: { refresh_interval: '-1', number_of_replicas: 0 } })
+                .reply(200, { "acknowledged": true })
+                .put(`/${indexName}/_settings`, { index: { refresh_interval: null, number_of_replicas: "2" } })
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.withBulkLoadSettings(indexName, settings, async () => {
+                    throw new Error('Load failed');
+                });
+            } catch (err) {
+                expect(err).toMatchObject({ message: 'Load failed' });
+            }
+
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('acquireAliasLock', () => {
+        const aliasName = 'bryantestidx';
+        const lockPath = `/elastic-tools-locks/lock/${aliasName}`;
+
+        it('acquires and releases the lock', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`${lockPath}/_create`, body => body.owner === 'loader1')
+                .reply(201, { "_index": "elastic-tools-locks", "_type": "lock", "_id": aliasName, "_version": 1, "result": "created" })
+                .delete(lockPath)
+                .query({ version: 1 })
+                .reply(200, { "_index": "elastic-tools-locks", "_type": "lock", "_id": aliasName, "_version": 2, "result": "deleted" });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.withAliasLock(aliasName, async (lock) => lock.owner, { owner: 'loader1' });
+
+            expect(actual).toEqual('loader1');
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('refuses when the lock is held', async () => {
+            const expiresAt = Date.now() + 60000;
+
+            const scope = nock('http://example.org:9200')
+                .post(`${lockPath}/_create`, () => true)
+                .reply(409, {
+                    "error": { "type": "version_conflict_engine_exception", "reason": "document already exists" },
+                    "status": 409
+                })
+                .get(lockPath)
+                .reply(200, {
+                    "_index": "elastic-tools-locks", "_type": "lock", "_id": aliasName, "_version": 4, "found": true,
+                    "_source": { "owner": "loader2", "acquired_at": Date.now(), "expires_at": expiresAt }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.acquireAliasLock(aliasName, { owner: 'loader1' });
+            } catch (err) {
+                expect(err).toMatchObject({
+                    message: `Alias ${aliasName} is locked by loader2 until ${moment(expiresAt).toISOString()}`
+                });
+            }
+
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('takes over an expired lock', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`${lockPath}/_create`, () => true)
+                .reply(409, {
+                    "error": { "type": "version_conflict_engine_exception", "reason": "document already exists" },
+                    "status": 409
+                })
+                .get(lockPath)
+                .reply(200, {
+                    "_index": "elastic-tools-locks", "_type": "lock", "_id": aliasName, "_version": 4, "found": true,
+                    "_source": { "owner": "loader2", "acquired_at": 1, "expires_at": 2 }
+                })
+                .post(lockPath, body => body.owner === 'loader1')
+                .query({ version: 4 })
+                .reply(200, { "_index": "elastic-tools-locks", "_type": "lock", "_id": aliasName, "_version": 5, "result": "updated" });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const lock = await estools.acquireAliasLock(aliasName, { owner: 'loader1' });
+            lock.stopHeartbeat();
+
+            expect(lock.concurrency).toEqual({ version: 5 });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('waits for a renewal in flight before releasing', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`${lockPath}/_create`, () => true)
+                .reply(201, { "_index": "elastic-tools-locks", "_type": "lock", "_id": aliasName, "_version": 1, "result": "created" })
+                .post(lockPath, body => body.owner === 'loader1')
+                .query({ version: 1 })
+                .delay(50)
+                .reply(200, { "_index": "elastic-tools-locks", "_type": "lock", "_id": aliasName, "_version": 2, "result": "updated" })
+                .delete(lockPath)
+                .query({ version: 2 })
+                .reply(200, { "_index": "elastic-tools-locks", "_type": "lock", "_id": aliasName, "_version": 3, "result": "deleted" });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const lock = await estools.acquireAliasLock(aliasName, { owner: 'loader1', heartbeatInterval: 5 });
+            await new Promise(resolve => scope.once('request', resolve));
+            await lock.release();
+
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('dead letters', () => {
+
+        const mapperError = {
+            "type": "mapper_parsing_exception",
+            "reason": "failed to parse"
+        };
+
+        const docReq = (id) => `{"index":{"_index":"twitter","_type":"tweet","_id":"${id}"}}\n` +
+                               '{"username":"bob","message":"tweettweet"}\n';
+
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'elastic-tools-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it('writes failed documents to the dead letter file', async () => {
+            const deadLetterFile = path.join(tmpDir, 'dead.ndjson');
+
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === docReq("11") + docReq("12"))
+                .reply(200, {
+                    "took": 1,
+                    "errors": true,
+                    "items": [
+                        { "index": { "_index": "twitter", "_type": "tweet", "_id": "11", "result": "created", "status": 201 } },
+                        { "index": { "_index": "twitter", "_type": "tweet", "_id": "12", "status": 400, "error": mapperError } }
+                    ]
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.indexDocumentBulk(
+                "twitter",
+                "tweet",
+                [
+                    [ "11", { "username": "bob", "message": "tweettweet" } ],
+                    [ "12", { "username": "bob", "message": "tweettweet" } ]
+                ],
+                { deadLetterFile }
+            );
+
+            expect(fs.readFileSync(deadLetterFile, 'utf8')).toEqual(
+                JSON.stringify({
+                    id: "12",
+                    index: "twitter",
+                    type: "tweet",
+                    error: mapperError,
+                    document: { "username": "bob", "message": "tweettweet" }
+                }) + '\n'
+            );
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('replays the dead letters and keeps the failures', async () => {
+            const deadLetterFile = path.join(tmpDir, 'dead.ndjson');
+            const deadLetter = (id) => JSON.stringify({
+                id,
+                index: "oldtwitter",
+                type: "tweet",
+                error: mapperError,
+                document: { "username": "bob", "message": "tweettweet" }
+            }) + '\n';
+
+            fs.writeFileSync(deadLetterFile, deadLetter("11") + deadLetter("12"));
+
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === docReq("11") + docReq("12"))
+                .reply(200, {
+                    "took": 1,
+                    "errors": true,
+                    "items": [
+                        { "index": { "_index": "twitter", "_type": "tweet", "_id": "11", "result": "created", "status": 201 } },
+                        { "index": { "_index": "twitter", "_type": "tweet", "_id": "12", "status": 400, "error": mapperError } }
+                    ]
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.replayDeadLetters(deadLetterFile, "twitter");
+
+            expect(actual).toEqual({
+                created: ["11"],
+                updated: [],
+                errors: [{ id: "12", error: mapperError }]
+            });
+            expect(fs.readFileSync(deadLetterFile, 'utf8')).toEqual(deadLetter("12").replace('oldtwitter', 'twitter'));
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('keeps the dead letters and removes the replay file when the replay fails', async () => {
+            const deadLetterFile = path.join(tmpDir, 'dead.ndjson');
+            const deadLetters = JSON.stringify({
+                id: "11",
+                index: "twitter",
+                type: "tweet",
+                error: mapperError,
+                document: { "username": "bob", "message": "tweettweet" }
+            }) + '\n';
+
+            fs.writeFileSync(deadLetterFile, deadLetters);
+
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, () => true)
+                .reply(500);
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await expect(estools.replayDeadLetters(deadLetterFile, "twitter")).rejects.toThrow('Internal Server Error');
+
+            expect(fs.readFileSync(deadLetterFile, 'utf8')).toEqual(deadLetters);
+            expect(fs.existsSync(`${deadLetterFile}.replay`)).toBeFalsy();
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('bulk', () => {
+
+        it('performs mixed operations', async () => {
+            const reqbody =
+                '{"create":{"_index":"twitter","_type":"tweet","_id":"1"}}\n' +
+                '{"username":"bob"}\n' +
+                '{"update":{"_index":"twitter","_type":"tweet","_id":"2","_retry_on_conflict":3}}\n' +
+                '{"doc":{"message":"hello"},"doc_as_upsert":true}\n' +
+                '{"update":{"_index":"twitter","_type":"tweet","_id":"3"}}\n' +
+                '{"upsert":{"likes":1},"script":{"source":"ctx._source.likes++"}}\n' +
+                '{"delete":{"_index":"twitter","_type":"tweet","_id":"4"}}\n' +
+                '{"index":{"_index":"twitter","_type":"tweet","_id":"5"}}\n' +
+                '{"username":"tweettweet"}\n';
+
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === reqbody)
+                .reply(200, {
+                    "took": 5,
+                    "errors": true,
+                    "items": [
+                        { "create": { "_index": "twitter", "_type": "tweet", "_id": "1", "status": 409, "error": { "type": "version_conflict_engine_exception", "reason": "document already exists" } } },
+                        { "update": { "_index": "twitter", "_type": "tweet", "_id": "2", "status": 200, "result": "noop" } },
+                        { "update": { "_index": "twitter", "_type": "tweet", "_id": "3", "status": 201, "result": "created" } },
+                        { "delete": { "_index": "twitter", "_type": "tweet", "_id": "4", "status": 200, "result": "deleted" } },
+                        { "index": { "_index": "twitter", "_type": "tweet", "_id": "5", "status": 400, "error": { "type": "mapper_parsing_exception", "reason": "failed to parse" } } }
+                    ]
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.bulk([
+                { action: 'create', index: 'twitter', type: 'tweet', id: '1', document: { "username": "bob" } },
+                { action: 'update', index: 'twitter', type: 'tweet', id: '2', document: { "message": "hello" }, docAsUpsert: true, retryOnConflict: 3 },
+                { action: 'update', index: 'twitter', type: 'tweet', id: '3', script: { "source": "ctx._source.likes++" }, upsert: { "likes": 1 } },
+                { action: 'delete', index: 'twitter', type: 'tweet', id: '4' },
+                { action: 'index', index: 'twitter', type: 'tweet', id: '5', document: { "username": "tweettweet" } }
+            ]);
+
+            expect(actual).toMatchObject({
+                created: ['3'],
+                updated: [],
+                deleted: ['4'],
+                noop: ['2'],
+                conflicts: ['1'],
+                errors: [{
+                    id: '5',
+                    action: 'index',
+                    status: 400,
+                    error: { "type": "mapper_parsing_exception", "reason": "failed to parse" }
+                }]
+            });
+            expect(actual.items.map(i => [i.action, i.status])).toEqual([
+                ['create', 409], ['update', 200], ['update', 201], ['delete', 200], ['index', 400]
+            ]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('checks for unknown actions', async () => {
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(1);
+            try {
+                await estools.bulk([ { action: 'upsert', index: 'twitter', id: '1' } ]);
+            } catch (err) {
+                expect(err).toMatchObject({ message: 'Unknown bulk action: upsert' });
+            }
+        });
+    });
+
+    describe('exportIndex', () => {
+
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'elastic-tools-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        const hit = (id) => ({
+            "_index": "twitter_1", "_type": "tweet", "_id": id, "_score": null,
+            "_source": { "username": "bob", "message": "tweettweet" }
+        });
+
+        const record = (id) =>
+            JSON.stringify({ index: { _index: "twitter_1", _type: "tweet", _id: id } }) + '\n' +
+            JSON.stringify({ "username": "bob", "message": "tweettweet" }) + '\n';
+
+        it('exports the documents with a scroll', async () => {
+            const exportFile = path.join(tmpDir, 'export.ndjson');
+
+            const scope = nock('http://example.org:9200')
+                .post(`/twitter/_search?scroll=5m`, {
+                    size: 1,
+                    query: { term: { username: "bob" } },
+                    _source: [ "username", "message" ],
+                    sort: [ "_doc" ]
+                })
+                .reply(200, { "_scroll_id": "scroll1", "hits": { "total": 2, "hits": [ hit("1") ] } })
+                .post(`/_search/scroll`, { scroll: "5m", scroll_id: "scroll1" })
+                .reply(200, { "_scroll_id": "scroll2", "hits": { "total": 2, "hits": [ hit("2") ] } })
+                .post(`/_search/scroll`, { scroll: "5m", scroll_id: "scroll2" })
+                .reply(200, { "_scroll_id": "scroll3", "hits": { "total": 2, "hits": [] } })
+                .delete(`/_search/scroll`, { scroll_id: [ "scroll2" ] })
+                .reply(200, { "succeeded": true, "num_freed": 1 });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.exportIndex('twitter', exportFile, {
+                query: { term: { username: "bob" } },
+                fields: [ "username", "message" ],
+                batchSize: 1
+            });
+
+            expect(actual).toEqual({ exported: 2 });
+            expect(fs.readFileSync(exportFile, 'utf8')).toEqual(record("1") + record("2"));
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('rejects when the destination cannot be written', async () => {
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(1);
+            try {
+                await estools.exportIndex('twitter', path.join(tmpDir, 'missing', 'export.ndjson'));
+            } catch (err) {
+                expect(err.code).toBe('ENOENT');
+            }
+        });
+
+        it('imports an export', async () => {
+            const exportFile = path.join(tmpDir, 'export.ndjson');
+            fs.writeFileSync(exportFile, record("1") + record("2"));
+
+            const reqbody =
+                '{"index":{"_index":"twitter_2","_type":"tweet","_id":"1"}}\n' +
+                '{"username":"bob","message":"tweettweet"}\n' +
+                '{"index":{"_index":"twitter_2","_type":"tweet","_id":"2"}}\n' +
+                '{"username":"bob","message":"tweettweet"}\n';
+
+            const scope = nock('http://example.org:9200')
+                .post(`/_bulk`, body => body === reqbody)
+                .reply(200, {
+                    "took": 1,
+                    "errors": false,
+                    "items": [
+                        { "index": { "_index": "twitter_2", "_type": "tweet", "_id": "1", "result": "created", "status": 201 } },
+                        { "index": { "_index": "twitter_2", "_type": "tweet", "_id": "2", "result": "created", "status": 201 } }
+                    ]
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.importIndex(exportFile, 'twitter_2');
+
+            expect(actual).toEqual({ created: ["1", "2"], updated: [], errors: [] });
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('reindexInto', () => {
+        const taskId = 'oTUltX4IQMOUUVeiohTt8A:12345';
+
+        const runningTask = {
+            "completed": false,
+            "task": {
+                "status": { "total": 10, "created": 4, "updated": 0, "deleted": 0, "version_conflicts": 0, "noops": 0 }
+            }
+        };
+
+        it('reindexes and resolves with the counts', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_reindex`, {
+                    source: { index: "twitter_1", query: { term: { username: "bob" } } },
+                    dest: { index: "twitter_2" }
+                })
+                .query({ wait_for_completion: false, requests_per_second: 500 })
+                .reply(200, { "task": taskId })
+                .get(`/_tasks/${encodeURIComponent(taskId)}`)
+                .reply(200, runningTask)
+                .get(`/_tasks/${encodeURIComponent(taskId)}`)
+                .reply(200, {
+                    "completed": true,
+                    "task": runningTask.task,
+                    "response": { "total": 10, "created": 8, "updated": 2, "failures": [] }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.reindexInto('twitter_1', 'twitter_2', {
+                query: { term: { username: "bob" } },
+                requestsPerSecond: 500,
+                pollInterval: 1
+            });
+
+            expect(actual).toEqual({ taskId, total: 10, created: 8, updated: 2, failed: 0, failures: [] });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('rejects when the task is cancelled', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_reindex?wait_for_completion=false`, () => true)
+                .reply(200, { "task": taskId })
+                .get(`/_tasks/${encodeURIComponent(taskId)}`)
+                .reply(200, {
+                    "completed": true,
+                    "task": runningTask.task,
+                    "response": { "total": 10, "created": 4, "updated": 0, "failures": [], "canceled": "by user request" }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.reindexInto('twitter_1', 'twitter_2', { pollInterval: 1 });
+            } catch (err) {
+                expect(err).toMatchObject({
+                    message: `Reindex task ${taskId} from twitter_1 to twitter_2 was cancelled. by user request`
+                });
+            }
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('rejects with the counts when documents failed', async () => {
+            const failure = {
+                "index": "twitter_2", "type": "tweet", "id": "5", "status": 400,
+                "cause": { "type": "mapper_parsing_exception", "reason": "failed to parse [date]" }
+            };
+
+            const scope = nock('http://example.org:9200')
+                .post(`/_reindex?wait_for_completion=false`, () => true)
+                .reply(200, { "task": taskId })
+                .get(`/_tasks/${encodeURIComponent(taskId)}`)
+                .reply(200, {
+                    "completed": true,
+                    "task": runningTask.task,
+                    "response": { "total": 10, "created": 4, "updated": 0, "failures": [ failure ] }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(3);
+            try {
+                await estools.reindexInto('twitter_1', 'twitter_2', { pollInterval: 1 });
+            } catch (err) {
+                expect(err.message).toEqual(
+                    `Reindex task ${taskId} from twitter_1 to twitter_2 was aborted after 1 failures, 4 of 10 documents were copied`
+                );
+                expect(err.reindexResult).toEqual({ taskId, total: 10, created: 4, updated: 0, failed: 1, failures: [ failure ] });
+            }
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('diffMappings', () => {
+
+        it('reports no changes for the same mapping', async () => {
+            const mappings = require(path.join(__dirname, 'data', 'mappings.json'));
+
+            const scope = nock('http://example.org:9200')
+                .get(`/bboyle/_mapping`)
+                .reply(200, { "bboyle_1": mappings });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const actual = await estools.diffMappings('bboyle', mappings);
+
+            expect(actual).toMatchObject({
+                added: [], removed: [], changedTypes: [], changedAnalyzers: [], changedParameters: [],
+                compatible: true,
+                breakingFields: []
+            });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('classifies compatible and breaking changes against a typeless mapping', async () => {
+            const scope = nock('http://example.org:9200')
+                .get(`/bboyle/_mapping`)
+                .reply(200, {
+                    "bboyle_1": { "mappings": { "properties": {
+                        "title": { "type": "keyword", "ignore_above": 256,
+                            "fields": { "_fulltext": { "type": "text", "analyzer": "standard" } } },
+                        "id": { "type": "integer" },
+                        "old": { "type": "keyword" }
+                    } } }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '7.x'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const actual = await estools.diffMappings('bboyle', { mappings: { properties: {
+                "title": { "type": "keyword", "ignore_above": 512,
+                    "fields": { "_fulltext": { "type": "text", "analyzer": "englishfulltext" } } },
+                "id": { "type": "long" },
+                "added": { "type": "keyword" }
+            } } });
+
+            expect(actual).toEqual({
+                added: [{ field: 'added', to: { type: 'keyword' }, classification: 'compatible' }],
+                removed: [{ field: 'old', from: { type: 'keyword' }, classification: 'breaking' }],
+                changedTypes: [{ field: 'id', from: 'integer', to: 'long', classification: 'breaking' }],
+                changedAnalyzers: [{
+                    field: 'title._fulltext', parameter: 'analyzer', from: 'standard', to: 'englishfulltext', classification: 'breaking'
+                }],
+                changedParameters: [{
+                    field: 'title', parameter: 'ignore_above', from: 256, to: 512, classification: 'compatible'
+                }],
+                compatible: false,
+                breakingFields: [ 'old', 'id', 'title._fulltext' ]
+            });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('treats parameters set to their defaults as unchanged', async () => {
+            //Older versions leave the parameters with default values out of the mapping.
+            const scope = nock('http://example.org:9200')
+                .get(`/bboyle/_mapping`)
+                .reply(200, {
+                    "bboyle_1": { "mappings": { "resource": { "properties": {
+                        "title": { "type": "keyword" }
+                    } } } }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const actual = await estools.diffMappings('bboyle', { mappings: { resource: { properties: {
+                "title": { "type": "keyword", "index": true, "doc_values": true, "store": false },
+                "added": { "type": "keyword" }
+            } } } });
+
+            expect(actual).toMatchObject({
+                added: [{ field: 'added' }],
+                changedParameters: [],
+                compatible: true
+            });
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('applyMappingChange', () => {
+
+        const liveMapping = {
+            "mappings": { "resource": { "properties": {
+                "title": { "type": "keyword" }
+            } } }
+        };
+
+        it('puts a mapping with new fields', async () => {
+            const mapping = {
+                "mappings": { "resource": { "properties": {
+                    "title": { "type": "keyword" },
+                    "summary": { "type": "text" }
+                } } }
+            };
+
+            const scope = nock('http://example.org:9200')
+                .get(`/_alias/bboyle`)
+                .reply(200, { "bboyle_1": { "aliases": { "bboyle": {} } } })
+                .get(`/bboyle_1/_mapping`)
+                .reply(200, { "bboyle_1": liveMapping })
+                .put(`/bboyle_1/_mapping/resource`, mapping.mappings.resource)
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const actual = await estools.applyMappingChange('bboyle', mapping);
+
+            expect(actual).toEqual({ indices: [ 'bboyle_1' ], added: [ 'summary' ] });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('puts a typeless mapping into the type of the live index on 5.6', async () => {
+            const mapping = {
+                "mappings": { "properties": {
+                    "title": { "type": "keyword" },
+                    "summary": { "type": "text" }
+                } }
+            };
+
+            const scope = nock('http://example.org:9200')
+                .get(`/_alias/bboyle`)
+                .reply(200, { "bboyle_1": { "aliases": { "bboyle": {} } } })
+                .get(`/bboyle_1/_mapping`)
+                .reply(200, { "bboyle_1": liveMapping })
+                .put(`/bboyle_1/_mapping/resource`, mapping.mappings)
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const actual = await estools.applyMappingChange('bboyle', mapping);
+
+            expect(actual).toEqual({ indices: [ 'bboyle_1' ], added: [ 'summary' ] });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('refuses breaking changes', async () => {
+            const mapping = {
+                "mappings": { "resource": { "properties": {
+                    "title": { "type": "text" }
+                } } }
+            };
+
+            const scope = nock('http://example.org:9200')
+                .get(`/_alias/bboyle`)
+                .reply(200, { "bboyle_1": { "aliases": { "bboyle": {} } } })
+                .get(`/bboyle_1/_mapping`)
+                .reply(200, { "bboyle_1": liveMapping });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.applyMappingChange('bboyle', mapping);
+            } catch (err) {
+                expect(err).toMatchObject({
+                    message: `Cannot apply the mapping change to bboyle, there are breaking changes to: title`,
+                    breakingFields: [ 'title' ]
+                });
+            }
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('index templates', () => {
+
+        it('puts and gets a legacy template on 5.6', async () => {
+            const mappings = require(path.join(__dirname, 'data', 'mappings.json'));
+            const settings = require(path.join(__dirname, 'data', 'settings.json'));
+
+            const scope = nock('http://example.org:9200')
+                .put(`/_template/bryantestidx`, {
+                    template: 'bryantestidx_*',
+                    settings: settings.settings,
+                    mappings: mappings.mappings,
+                    order: 1
+                })
+                .reply(200, { "acknowledged": true })
+                .get(`/_template/bryantestidx`)
+                .reply(200, {
+                    "bryantestidx": {
+                        "order": 1,
+                        "template": "bryantestidx_*",
+                        "settings": settings.settings,
+                        "mappings": mappings.mappings,
+                        "aliases": {}
+                    }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.putIndexTemplate('bryantestidx', 'bryantestidx_*', mappings, settings, { priority: 1 });
+            const actual = await estools.getIndexTemplate('bryantestidx');
+
+            expect(actual).toEqual({
+                name: 'bryantestidx',
+                indexPatterns: [ 'bryantestidx_*' ],
+                mappings: mappings.mappings,
+                settings: settings.settings,
+                composedOf: [],
+                priority: 1
+            });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('uses composable and component templates on 7.8+', async () => {
+            const puts = [];
+            const client = {
+                connectionPool: {},
+                indices: {
+                    putIndexTemplate: async (params) => { puts.push(params); return { statusCode: 200, body: {} }; },
+                    getIndexTemplate: async () => ({
+                        statusCode: 200,
+                        body: { "index_templates": [ {
+                            "name": "bryantestidx",
+                            "index_template": {
+                                "index_patterns": [ "bryantestidx_*" ],
+                                "template": { "mappings": { "properties": { "title": { "type": "keyword" } } } },
+                                "composed_of": [ "analyzers" ],
+                                "priority": 100
+                            }
+                        } ] }
+                    })
+                },
+                cluster: {
+                    putComponentTemplate: async (params) => { puts.push(params); return { statusCode: 200, body: {} }; }
+                }
+            };
+
+            const estools = new ElasticTools(logger, client, { version: '8.11.0' });
+
+            await estools.putComponentTemplate('analyzers', null, { settings: { analysis: {} } });
+            await estools.putIndexTemplate(
+                'bryantestidx',
+                'bryantestidx_*',
+                { mappings: { resource: { properties: { title: { type: 'keyword' } } } } },
+                null,
+                { composedOf: [ 'analyzers' ], priority: 100 }
+            );
+
+            expect(puts).toEqual([
+                { name: 'analyzers', body: { template: { settings: { analysis: {} } } } },
+                { name: 'bryantestidx', body: {
+                    index_patterns: [ 'bryantestidx_*' ],
+                    template: { mappings: { properties: { title: { type: 'keyword' } } } },
+                    composed_of: [ 'analyzers' ],
+                    priority: 100
+                } }
+            ]);
+
+            const diff = await estools.diffIndexTemplate('bryantestidx', {
+                mappings: { properties: { title: { type: 'keyword' }, summary: { type: 'text' } } }
+            });
+
+            expect(diff).toMatchObject({
+                added: [ { field: 'summary', classification: 'compatible' } ],
+                compatible: true
+            });
+        });
+
+        it('creates a timestamped index from the templates when there is no mapping', async () => {
+            const scope = nock('http://example.org:9200')
+                .get(`/_template`)
+                .reply(200, {
+                    "other": { "index_patterns": [ "other_*" ], "mappings": { "properties": { "title": { "type": "text" } } } },
+                    "bryantestidx": { "index_patterns": [ "bryantestidx_*" ], "mappings": { "properties": { "title": { "type": "keyword" } } } }
+                })
+                .put(/\/bryantestidx_\d{8}_\d{6}/, { settings: { number_of_replicas: 0 } })
+                .reply(200, { "acknowledged": true, "shards_acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '7.x'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const warn = jest.spyOn(logger, 'warn');
+
+            try {
+                await estools.createTimestampedIndex('bryantestidx', null, { settings: { number_of_replicas: 0 } });
+
+                expect(warn).not.toHaveBeenCalled();
+                expect(scope.isDone()).toBeTruthy();
+            } finally {
+                warn.mockRestore();
+            }
+        });
+
+        it('warns when there is no mapping and no template matches', async () => {
+            const scope = nock('http://example.org:9200')
+                .get(`/_template`)
+                .reply(200, {
+                    "other": { "index_patterns": [ "other_*" ], "mappings": { "properties": { "title": { "type": "text" } } } }
+                })
+                .put(`/bryantestidx_1`)
+                .reply(200, { "acknowledged": true, "shards_acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '7.x'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const warn = jest.spyOn(logger, 'warn');
+
+            try {
+                await estools.createIndex('bryantestidx_1');
+
+                expect(warn).toHaveBeenCalledWith(expect.stringContaining('no index template with a mapping matches bryantestidx_1'));
+                expect(scope.isDone()).toBeTruthy();
+            } finally {
+                warn.mockRestore();
+            }
+        });
+
+        it('creates the index when the templates cannot be read', async () => {
+            const scope = nock('http://example.org:9200')
+                .get(`/_template`)
+                .reply(403, { "error": "action [indices:admin/template/get] is unauthorized", "status": 403 })
+                .put(`/bryantestidx_1`)
+                .reply(200, { "acknowledged": true, "shards_acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '7.x'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const warn = jest.spyOn(logger, 'warn');
+
+            try {
+                await estools.createIndex('bryantestidx_1');
+
+                expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not check the index templates for bryantestidx_1'));
+                expect(scope.isDone()).toBeTruthy();
+            } finally {
+                warn.mockRestore();
+            }
+        });
+    });
+
+    describe('ingest pipelines', () => {
+
+        const pipeline = {
+            "description": "Adds the full name",
+            "processors": [
+                { "set": { "field": "fullname", "value": "{{firstname}} {{lastname}}" } }
+            ]
+        };
+
+        it('puts and gets a pipeline', async () => {
+            const scope = nock('http://example.org:9200')
+                .put(`/_ingest/pipeline/fullname`, pipeline)
+                .reply(200, { "acknowledged": true })
+                .get(`/_ingest/pipeline/fullname`)
+                .reply(200, { "fullname": pipeline });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.putPipeline('fullname', pipeline);
+            expect(await estools.getPipeline('fullname')).toEqual(pipeline);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('simulates a pipeline with sample documents', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_ingest/pipeline/_simulate`, {
+                    pipeline,
+                    docs: [
+                        { _source: { firstname: "Bob", lastname: "Smith" } },
+                        { _source: { firstname: "Jane" } }
+                    ]
+                })
+                .reply(200, {
+                    "docs": [
+                        { "doc": { "_index": "_index", "_id": "_id", "_source": { "firstname": "Bob", "lastname": "Smith", "fullname": "Bob Smith" } } },
+                        { "error": { "type": "illegal_argument_exception", "reason": "field [lastname] not present" } }
+                    ]
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.simulatePipeline(pipeline, [
+                { firstname: "Bob", lastname: "Smith" },
+                { firstname: "Jane" }
+            ]);
+
+            expect(actual).toEqual([
+                { document: { firstname: "Bob", lastname: "Smith", fullname: "Bob Smith" } },
+                { error: { type: "illegal_argument_exception", reason: "field [lastname] not present" } }
+            ]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('indexes documents through a pipeline', async () => {
+            const reqbody = '{"index":{"_index":"twitter","_type":"tweet","_id":"12","pipeline":"fullname"}}\n' +
+                            '{"firstname":"Bob"}\n';
+
+            const scope = nock('http://example.org:9200')
+                .post(`/twitter/tweet/11?pipeline=fullname`, { "firstname": "Bob" })
+                .reply(201, { "_index": "twitter", "_type": "tweet", "_id": "11", "result": "created" })
+                .post(`/_bulk`, body => body === reqbody)
+                .reply(200, {
+                    "took": 1,
+                    "errors": false,
+                    "items": [
+                        { "index": { "_index": "twitter", "_type": "tweet", "_id": "12", "result": "created", "status": 201 } }
+                    ]
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.indexDocument("twitter", "tweet", "11", { "firstname": "Bob" }, { pipeline: 'fullname' });
+            const actual = await estools.indexDocumentBulk(
+                "twitter", "tweet", [ [ "12", { "firstname": "Bob" } ] ], { pipeline: 'fullname' }
+            );
+
+            expect(actual).toEqual({ created: ["12"], updated: [], errors: [] });
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('updateAnalysisSettings', () => {
+
+        const previous = {
+            "filter": { "synonyms": { "type": "synonym", "synonyms": [ "tv, television" ] } }
+        };
+        const updated = {
+            "filter": { "synonyms": { "type": "synonym", "synonyms": [ "tv, television, telly" ] } }
+        };
+
+        it('closes, updates and reopens the indices behind the alias', async () => {
+            const scope = nock('http://example.org:9200')
+                .get(`/_alias/bboyle`)
+                .reply(200, { "bboyle_1": { "aliases": { "bboyle": {} } } })
+                .get(`/bboyle_1/_settings`)
+                .reply(200, { "bboyle_1": { "settings": { "index": { "analysis": previous } } } })
+                .post(`/bboyle_1/_close`)
+                .reply(200, { "acknowledged": true })
+                .put(`/bboyle_1/_settings`, { index: { analysis: updated } })
+                .reply(200, { "acknowledged": true })
+                .post(`/bboyle_1/_open`)
+                .reply(200, { "acknowledged": true })
+                .get(`/_cluster/health/bboyle_1`)
+                .query({ wait_for_status: 'green', timeout: '1000ms' })
+                .reply(200, { "cluster_name": "test", "status": "green", "timed_out": false });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.updateAnalysisSettings('bboyle', updated, { waitForStatus: 'green', healthTimeout: 1000 });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('restores the indices already updated when a later index fails', async () => {
+            const scope = nock('http://example.org:9200')
+                .get(`/_alias/bboyle`)
+                .reply(200, { "bboyle_1": { "aliases": { "bboyle": {} } }, "bboyle_2": { "aliases": { "bboyle": {} } } })
+                .get(`/bboyle_1/_settings`)
+                .reply(200, { "bboyle_1": { "settings": { "index": { "analysis": previous } } } })
+                .post(`/bboyle_1/_close`)
+                .reply(200, { "acknowledged": true })
+                .put(`/bboyle_1/_settings`, { index: { analysis: updated } })
+                .reply(200, { "acknowledged": true })
+                .post(`/bboyle_1/_open`)
+                .reply(200, { "acknowledged": true })
+                .get(`/_cluster/health/bboyle_1`)
+                .query(true)
+                .reply(200, { "cluster_name": "test", "status": "yellow", "timed_out": false })
+                .get(`/bboyle_2/_settings`)
+                .reply(200, { "bboyle_2": { "settings": { "index": { "analysis": previous } } } })
+                .post(`/bboyle_2/_close`)
+                .reply(200, { "acknowledged": true })
+                .put(`/bboyle_2/_settings`, { index: { analysis: updated } })
+                .reply(400, { "error": { "type": "illegal_argument_exception", "reason": "bad synonyms" }, "status": 400 })
+                //Both indices are restored.
+                .post(`/bboyle_1/_close`)
+                .reply(200, { "acknowledged": true })
+                .put(`/bboyle_1/_settings`, { index: { analysis: previous } })
+                .reply(200, { "acknowledged": true })
+                .post(`/bboyle_1/_open`)
+                .reply(200, { "acknowledged": true })
+                .post(`/bboyle_2/_close`)
+                .reply(200, { "acknowledged": true })
+                .put(`/bboyle_2/_settings`, { index: { analysis: previous } })
+                .reply(200, { "acknowledged": true })
+                .post(`/bboyle_2/_open`)
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.updateAnalysisSettings('bboyle', updated);
+            } catch (err) {
+                expect(err.statusCode).toBe(400);
+            }
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('restores the previous settings and reopens the index when the update fails', async () => {
+            const scope = nock('http://example.org:9200')
+                .get(`/_alias/bboyle_1`)
+                .reply(404, { "error": "alias [bboyle_1] missing", "status": 404 })
+                .get(`/bboyle_1/_settings`)
+                .reply(200, { "bboyle_1": { "settings": { "index": { "analysis": previous } } } })
+                .post(`/bboyle_1/_close`)
+                .reply(200, { "acknowledged": true })
+                .put(`/bboyle_1/_settings`, { index: { analysis: updated } })
+                .reply(400, { "error": { "type": "illegal_argument_exception", "reason": "bad synonyms" }, "status": 400 })
+                .post(`/bboyle_1/_close`)
+                .reply(200, { "acknowledged": true })
+                .put(`/bboyle_1/_settings`, { index: { analysis: previous } })
+                .reply(200, { "acknowledged": true })
+                .post(`/bboyle_1/_open`)
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            expect.assertions(2);
+            try {
+                await estools.updateAnalysisSettings('bboyle_1', updated);
+            } catch (err) {
+                expect(err.statusCode).toBe(400);
+            }
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('snapshots', () => {
+
+        const snapshotInfo = (snapshot, daysAgo) => ({
+            "snapshot": snapshot,
+            "indices": [ "bboyle_1" ],
+            "state": "SUCCESS",
+            "start_time_in_millis": moment().subtract(daysAgo, 'days').valueOf(),
+            "end_time_in_millis": moment().subtract(daysAgo, 'days').add(1, 'minute').valueOf()
+        });
+
+        it('registers a repository and snapshots the indices behind an alias', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_snapshot/backups`, { type: 'fs', settings: { location: '/mnt/backups' } })
+                .reply(200, { "acknowledged": true })
+                .get(`/_alias/bboyle`)
+                .reply(200, { "bboyle_1": { "aliases": { "bboyle": {} } } })
+                .post(`/_snapshot/backups/before-swap`, { indices: 'bboyle_1', include_global_state: false })
+                .query({ wait_for_completion: true })
+                .reply(200, { "snapshot": snapshotInfo("before-swap", 0) });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            await estools.registerSnapshotRepository('backups', { location: '/mnt/backups' });
+            const actual = await estools.snapshotIndex('backups', 'bboyle', { snapshotName: 'before-swap' });
+
+            expect(actual).toMatchObject({ snapshot: 'before-swap', indices: [ 'bboyle_1' ], state: 'SUCCESS' });
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('restores a snapshot under a new name', async () => {
+            const scope = nock('http://example.org:9200')
+                .post(`/_snapshot/backups/before-swap/_restore`, {
+                    indices: 'bboyle_1',
+                    rename_pattern: '(.+)',
+                    rename_replacement: 'restored_$1',
+                    include_global_state: false
+                })
+                .query({ wait_for_completion: true })
+                .reply(200, { "snapshot": { "snapshot": "before-swap", "indices": [ "restored_bboyle_1" ] } });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.restoreSnapshot('backups', 'before-swap', { indices: 'bboyle_1' });
+
+            expect(actual).toEqual([ 'restored_bboyle_1' ]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('deletes the snapshots older than the retention period', async () => {
+            const scope = nock('http://example.org:9200')
+                .get(`/_snapshot/backups/_all`)
+                .reply(200, { "snapshots": [
+                    snapshotInfo("bboyle_old", 40),
+                    snapshotInfo("bboyle_new", 1),
+                    snapshotInfo("other_old", 40)
+                ] })
+                .delete(`/_snapshot/backups/bboyle_old`)
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+
+            const actual = await estools.cleanupOldSnapshots('backups', 30, { prefix: 'bboyle' });
+
+            expect(actual.map(info => info.snapshot)).toEqual([ 'bboyle_old' ]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('cleanupOldIndices retention actions', () => {
+        const aliasName = 'bryantestidx';
+
+        it('closes expired indices and deletes old archived ones', async () => {
+            const now = Date.now();
+            const daysAgo = days => moment(now).subtract(days, 'days').valueOf();
+
+            const scope = nock('http://example.org:9200')
+                .get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [aliasName + "_1"]: { "settings": { "index": { "creation_date": now } } },
+                    [aliasName + "_2"]: { "settings": { "index": { "creation_date": daysAgo(10) } } },
+                    [aliasName + "_3"]: { "settings": { "index": { "creation_date": daysAgo(20) } } },
+                    [aliasName + "_4"]: { "settings": { "index": { "creation_date": daysAgo(40) } } }
+                })
+                .get(`/_alias/${aliasName}`)
+                .reply(200, { [aliasName + "_1"]: { "aliases": { [aliasName]: {} } } })
+                .get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', h: 'index,status' })
+                .reply(200, [
+                    { "index": aliasName + "_1", "status": "open" },
+                    { "index": aliasName + "_2", "status": "open" },
+                    { "index": aliasName + "_3", "status": "close" },
+                    { "index": aliasName + "_4", "status": "open" }
+                ])
+                .get(`/${aliasName}*/_settings/index.blocks.write`)
+                .reply(200, {
+                    [aliasName + "_4"]: { "settings": { "index": { "blocks": { "write": "true" } } } }
+                })
+                .post(`/${aliasName}_2/_close`)
+                .reply(200, { "acknowledged": true })
+                .delete(`/${aliasName}_4`)
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const plan = await estools.cleanupOldIndices(aliasName, 5, 0, { retentionAction: 'close', archiveDaysToKeep: 30 });
+
+            expect(plan.map(item => [ item.index, item.action ])).toEqual([
+                [ aliasName + "_2", 'close' ],
+                [ aliasName + "_4", 'delete' ]
+            ]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('does not keep archived indices as rollback candidates', async () => {
+            const now = Date.now();
+            const daysAgo = days => moment(now).subtract(days, 'days').valueOf();
+
+            const scope = nock('http://example.org:9200')
+                .get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [aliasName + "_1"]: { "settings": { "index": { "creation_date": now } } },
+                    [aliasName + "_2"]: { "settings": { "index": { "creation_date": daysAgo(10) } } },
+                    [aliasName + "_3"]: { "settings": { "index": { "creation_date": daysAgo(11) } } }
+                })
+                .get(`/_alias/${aliasName}`)
+                .reply(200, { [aliasName + "_1"]: { "aliases": { [aliasName]: {} } } })
+                .get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', h: 'index,status' })
+                .reply(200, [
+                    { "index": aliasName + "_1", "status": "open" },
+                    { "index": aliasName + "_2", "status": "close" },
+                    { "index": aliasName + "_3", "status": "open" }
+                ])
+                .get(`/${aliasName}*/_settings/index.blocks.write`)
+                .reply(200, {});
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const plan = await estools.cleanupOldIndices(aliasName, 5, 1, { retentionAction: 'close', dryRun: true });
+
+            //The closed _2 is not a rollback candidate, so _3 is kept open instead.
+            expect(plan).toEqual([]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('deletes expired archived indices when the action is delete', async () => {
+            const now = Date.now();
+            const daysAgo = days => moment(now).subtract(days, 'days').valueOf();
+
+            const scope = nock('http://example.org:9200')
+                .get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [aliasName + "_1"]: { "settings": { "index": { "creation_date": now } } },
+                    [aliasName + "_2"]: { "settings": { "index": { "creation_date": daysAgo(10) } } },
+                    [aliasName + "_3"]: { "settings": { "index": { "creation_date": daysAgo(11) } } }
+                })
+                .get(`/_alias/${aliasName}`)
+                .reply(200, { [aliasName + "_1"]: { "aliases": { [aliasName]: {} } } })
+                .get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', h: 'index,status' })
+                .reply(200, [
+                    { "index": aliasName + "_1", "status": "open" },
+                    { "index": aliasName + "_2", "status": "close" },
+                    { "index": aliasName + "_3", "status": "open" }
+                ])
+                .get(`/${aliasName}*/_settings/index.blocks.write`)
+                .reply(200, {})
+                .delete(`/${aliasName}_2`)
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const plan = await estools.cleanupOldIndices(aliasName, 5, 1);
+
+            //The archive age limit only applies when archiving.
+            expect(plan.map(item => [ item.index, item.action ])).toEqual([
+                [ aliasName + "_2", 'delete' ]
+            ]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+
+        it('snapshots expired indices before deleting them', async () => {
+            const oldDate = moment().subtract(10, 'days').valueOf();
+
+            const scope = nock('http://example.org:9200')
+                .get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [aliasName + "_1"]: { "settings": { "index": { "creation_date": Date.now() } } },
+                    [aliasName + "_2"]: { "settings": { "index": { "creation_date": oldDate } } }
+                })
+                .get(`/_alias/${aliasName}`)
+                .reply(200, { [aliasName + "_1"]: { "aliases": { [aliasName]: {} } } })
+                .get(`/_alias/${aliasName}_2`)
+                .reply(404, { "error": `alias [${aliasName}_2] missing`, "status": 404 })
+                .post(`/_snapshot/backups/${aliasName}_2`, { indices: `${aliasName}_2`, include_global_state: false })
+                .query({ wait_for_completion: true })
+                .reply(200, { "snapshot": { "snapshot": `${aliasName}_2`, "indices": [ `${aliasName}_2` ], "state": "SUCCESS" } })
+                .delete(`/${aliasName}_2`)
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const plan = await estools.cleanupOldIndices(aliasName, 5, 0, {
+                retentionAction: 'snapshot',
+                snapshotRepository: 'backups'
+            });
+
+            expect(plan.map(item => item.action)).toEqual([ 'snapshot' ]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('listIndices', () => {
+
+        it('lists the timestamped indices with their details', async () => {
+            const aliasName = 'bryantestidx';
+            const currentIdx = aliasName + '_20240102_030405';
+            const previousIdx = aliasName + '_20240101_030405';
+
+            const currentDate = moment('20240102_030405', 'YYYYMMDD_HHmmss').valueOf();
+            const previousDate = moment('20240101_030405', 'YYYYMMDD_HHmmss').valueOf();
+
+            const scope = nock('http://example.org:9200')
+                .get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [previousIdx]: { "settings": { "index": { "creation_date": String(previousDate) } } },
+                    [currentIdx]: { "settings": { "index": { "creation_date": String(currentDate) } } },
+                    [aliasName + "_other"]: { "settings": { "index": { "creation_date": String(currentDate) } } }
+                })
+                .get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', bytes: 'b', h: 'index,health,status,docs.count,store.size,pri.segments.count' })
+                .reply(200, [
+                    { "index": currentIdx, "health": "green", "status": "open", "docs.count": "1200", "store.size": "52000", "pri.segments.count": "1" },
+                    { "index": previousIdx, "health": "green", "status": "close", "docs.count": null, "store.size": null, "pri.segments.count": null },
+                    { "index": aliasName + "_other", "health": "green", "status": "open", "docs.count": "1", "store.size": "100", "pri.segments.count": "1" }
+                ])
+                .get(`/${aliasName}*/_alias`)
+                .reply(200, {
+                    [currentIdx]: { "aliases": { [aliasName]: {} } },
+                    [previousIdx]: { "aliases": {} },
+                    [aliasName + "_other"]: { "aliases": {} }
+                });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client);
+            const actual = await estools.listIndices(aliasName);
+
+            expect(actual).toEqual([
+                {
+                    name: currentIdx,
+                    creationDate: currentDate,
+                    timestamp: currentDate,
+                    docCount: 1200,
+                    storeSize: 52000,
+                    health: 'green',
+                    status: 'open',
+                    segmentCount: 1,
+                    aliases: [ aliasName ]
+                },
+                {
+                    name: previousIdx,
+                    creationDate: previousDate,
+                    timestamp: previousDate,
+                    docCount: null,
+                    storeSize: null,
+                    health: 'green',
+                    status: 'close',
+                    segmentCount: null,
+                    aliases: []
+                }
+            ]);
+            expect(scope.isDone()).toBeTruthy();
+        });
+    });
+
+    describe('index naming', () => {
+        const aliasName = 'bryantestidx';
+
+        it('names indices with a configured strategy', async () => {
+            let interceptedIdx = '';
+
+            const scope = nock('http://example.org:9200')
+                .get(`/_template`)
+                .reply(200, {
+                    "bryantestidx": { "template": "bryantestidx_*", "mappings": { "doc": { "properties": {} } } }
+                })
+                .put(uri => {
+                    interceptedIdx = uri.substring(1);
+                    return true;
+                })
+                .reply(200, { "acknowledged": true, "shards_acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client, {
+                naming: { utc: true, milliseconds: true, runId: 'build-42' }
+            });
+
+            const expectedTime = Date.now();
+            const indexName = await estools.createTimestampedIndex(aliasName, null, null);
+
+            expect(scope.isDone()).toBeTruthy();
+            expect(indexName).toBe(interceptedIdx);
+            expect(indexName).toMatch(/^bryantestidx_\d{8}_\d{9}_build-42$/);
+
+            //The name is UTC, and parses back to the time it was created.
+            const actualTime = moment.utc(indexName.substring(13, 31), 'YYYYMMDD_HHmmssSSS').valueOf();
+            expect(estools.naming.parse(aliasName, indexName)).toBe(actualTime);
+            expect(actualTime).toBeGreaterThanOrEqual(expectedTime);
+            expect(actualTime).toBeLessThan(expectedTime + 5000);
+        });
+
+        it('rolls back by the time in the index names', async () => {
+            const currentIdx = aliasName + '_20240102_030405123_b';
+            const previousIdx = aliasName + '_20240102_030405123_a';
+            const olderIdx = aliasName + '_20240101_030405';
+
+            //The older index was restored from a snapshot, so it has the newest creation date.
+            const scope = nock('http://example.org:9200')
+                .get(`/_alias/${aliasName}`)
+                .reply(200, { [currentIdx]: { "aliases": { [aliasName]: {} } } })
+                .get(`/${aliasName}*/_settings/index.creation_date`)
+                .reply(200, {
+                    [currentIdx]: { "settings": { "index": { "creation_date": "1000" } } },
+                    [previousIdx]: { "settings": { "index": { "creation_date": "1000" } } },
+                    [olderIdx]: { "settings": { "index": { "creation_date": String(Date.now()) } } }
+                })
+                .get(`/_cat/indices/${aliasName}*`)
+                .query({ format: 'json', h: 'index,status' })
+                .reply(200, [])
+                .get(`/${aliasName}*/_settings/index.blocks.write`)
+                .reply(200, {})
+                .post(`/_aliases`, {
+                    actions: [
+                        { add: { indices: previousIdx, alias: aliasName } },
+                        { remove: { indices: [ currentIdx ], alias: aliasName } }
+                    ]
+                })
+                .reply(200, { "acknowledged": true });
+
+            const client = new elasticsearch.Client({
+                host: 'http://example.org:9200',
+                apiVersion: '5.6'
+            });
+
+            const estools = new ElasticTools(logger, client, { naming: { utc: true, milliseconds: true } });
+
+            const actual = await estools.rollbackAlias(aliasName);
+
+            expect(actual).toEqual({ aliasName, from: currentIdx, to: previousIdx });
+            expect(scope.isDone()).toBeTruthy();
+        });
     });
 
 })
\ No newline at end of file
@@ -1,4 +1,194 @@
+const fs                    = require('fs');
 const moment                = require('moment');
+const os                    = require('os');
+const readline              = require('readline');
+const { once }              = require('events');
+
+const { VersionAdapter, getErrorStatus, isTimeoutError } = require('./lib/version-adapter');
+const { AliasLock, lockDocument }        = require('./lib/alias-lock');
+const { compareMappings, getMappingType, getTypelessMapping } = require('./lib/mapping-diff');
+const { createNamingStrategy }           = require('./lib/index-naming');
+
+/**
+ * @typedef {Object} BulkRetryOptions
+ * @property {Number} maxAttempts The maximum number of times an item will be sent (Default: 3)
+ * @property {Number} initialDelay The delay in ms before the first retry (Default: 500)
+ * @property {Number} maxDelay The maximum delay in ms between retries (Default: 30000)
+ * @property {Number} backoffFactor The multiplier applied to the delay for each retry (Default: 2)
+ * @property {Number} jitter The fraction (0-1) of the delay that is randomized (Default: 0.5)
+ */
+const DEFAULT_BULK_RETRY = {
+    maxAttempts: 3,
+    initialDelay: 500,
+    maxDelay: 30000,
+    backoffFactor: 2,
+    jitter: 0.5
+};
+
+//Statuses for bulk items that may succeed if they are sent again.
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Determines if a failed bulk item should be retried.
+ * @param {Object} item The bulk response item (e.g. the value of the index property)
+ */
+function isRetryableBulkItem(item) {
+    return RETRYABLE_STATUSES.includes(item.status) ||
+        (item.error && item.error.type === 'es_rejected_execution_exception');
+}
+
+/**
+ * Converts a bulk operation into the lines of the bulk request body.
+ * @param {BulkOperation} operation The operation
+ * @param {boolean} usesTypes Does the cluster use mapping types
+ * @returns {Object[]} The action line, followed by the document line (except for deletes)
+ */
+function toBulkLines(
+    { action, index, type, id, document, docAsUpsert, upsert, script, retryOnConflict, pipeline },
+    usesTypes
+) {
+    const meta = {
+        _index: index,
+        ...(usesTypes ? { _type: type } : {}),
+        _id: id
+    };
+
+    switch (action) {
+        case 'index':
+        case 'create':
+            return [ { [action]: { ...meta, ...(pipeline ? { pipeline } : {}) } }, document ];
+        case 'delete':
+            return [ { delete: meta } ];
+        case 'update': {
+            if (!document && !script) {
+                throw new Error(`Update of document ${id} must have a document or a script`);
+            }
+
+            //The underscore was dropped in 7.0
+            const retryKey = usesTypes ? '_retry_on_conflict' : 'retry_on_conflict';
+
+            return [
+                { update: { ...meta, ...(retryOnConflict ? { [retryKey]: retryOnConflict } : {}) } },
+                {
+                    ...(document ? { doc: document } : {}),
+                    ...(docAsUpsert ? { doc_as_upsert: true } : {}),
+                    ...(upsert ? { upsert } : {}),
+                    ...(script ? { script } : {})
+                }
+            ];
+        }
+        default:
+            throw new Error(`Unknown bulk action: ${action}`);
+    }
+}
+
+/**
+ * Gets the delay before the next retry.
+ * @param {Number} attempt The attempt that just failed (starting at 1)
+ * @param {BulkRetryOptions} retryOpts The retry options
+ */
+function getBackoffDelay(attempt, { initialDelay, maxDelay, backoffFactor, jitter }) {
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(backoffFactor, attempt - 1));
+    return Math.round(delay - (delay * jitter * Math.random()));
+}
+
+/**
+ * Waits for a period of time.
+ * @param {Number} ms The number of milliseconds to wait
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets the time of an index for ordering, the time from its name if the naming strategy
+ * could parse it, otherwise its creation date.
+ * @param {TimestampedIndex} idx The index
+ * @returns {Number} The time in ms since the epoch
+ */
+function getIndexTime(idx) {
+    return idx.timestamp !== null ? idx.timestamp : idx.creationDate;
+}
+
+/**
+ * Gets an index setting from the settings object passed to createIndex, where the setting
+ * can be nested (settings.index.refresh_interval) or flat (settings['index.refresh_interval']).
+ * @param {Object} settings the index settings (shards, replicas, analyzers, etc)
+ * @param {string} name The name of the setting without the index prefix, e.g. refresh_interval
+ * @returns {*} The setting value, or null if it is not set
+ */
+function getIndexSetting(settings, name) {
+    const root = (settings && settings.settings) || {};
+    const candidates = [
+        root.index && root.index[name],
+        root[`index.${name}`],
+        root[name]
+    ];
+
+    const value = candidates.find(val => val !== undefined);
+    return value === undefined ? null : value;
+}
+
+/**
+ * @typedef {Object} IndexTemplate
+ * @property {string} name The name of the template
+ * @property {string[]} indexPatterns The index patterns the template applies to (empty for component templates)
+ * @property {Object} mappings The mappings of the template
+ * @property {Object} settings The settings of the template
+ * @property {string[]} composedOf The component templates the template is composed of
+ * @property {Number} priority The priority of the template (the order for legacy templates)
+ */
+
+/**
+ * Determines if an index name matches an index template pattern, where * matches anything.
+ * @param {string} pattern The index pattern, e.g. bryantestidx_*
+ * @param {string} indexName The name of the index
+ */
+function matchesIndexPattern(pattern, indexName) {
+    const regex = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${regex}$`).test(indexName);
+}
+
+/**
+ * Converts an index template, component template or legacy template from a get template
+ * response into an IndexTemplate.
+ * @param {string} name The name of the template
+ * @param {Object} template The template from the response
+ * @returns {IndexTemplate} the template
+ */
+function toIndexTemplate(name, template) {
+    //Legacy templates on 5.x use template for the index pattern, the others use it for the contents.
+    const contents = (template.template && typeof template.template === 'object') ? template.template : template;
+
+    return {
+        name,
+        indexPatterns: template.index_patterns || (typeof template.template === 'string' ? [ template.template ] : []),
+        mappings: contents.mappings || {},
+        settings: contents.settings || {},
+        composedOf: template.composed_of || [],
+        priority: template.priority !== undefined ? template.priority : template.order
+    };
+}
+
+// The actions cleanupOldIndices can take on an expired index.
+const RETENTION_ACTIONS = [ 'delete', 'close', 'readonly', 'snapshot' ];
+
+/**
+ * Converts a snapshot from a snapshot response into a SnapshotInfo.
+ * @param {Object} snapshot The snapshot from the response
+ */
+function toSnapshotInfo(snapshot) {
+    return {
+        snapshot: snapshot.snapshot,
+        indices: snapshot.indices,
+        state: snapshot.state,
+        startTime: snapshot.start_time_in_millis,
+        endTime: snapshot.end_time_in_millis
+    };
+}
 
 /**
  * This class defines a wrapper around the elasticsearch framework.
@@ -8,28 +198,57 @@ class ElasticTools {
     /**
      * Creates a new instance of the ElasticTools
      * @param {Object} logger The logger to use for logging
-     * @param {Object} elasticClient The elasticsearch client to use.
+     * @param {Object} elasticClient The elasticsearch client to use. This can be the legacy
+     * elasticsearch client, the @elastic/elasticsearch client or the OpenSearch client.
+     * @param {Object} options
+     * @param {string} options.version The cluster version (e.g. 5.6, 7.10.2). When not set the version
+     * is taken from the apiVersion of a legacy client, or fetched from the cluster when first needed.
+     * @param {string} options.distribution Either 'elasticsearch' or 'opensearch' (Default: elasticsearch)
+     * @param {(Object|Function)} options.naming How timestamped indices are named. Either the options for
+     * the default strategy ({ utc, milliseconds, runId }), a custom strategy ({ format, parse }) or just a
+     * custom format function. (Default: <name>_YYYYMMDD_HHmmss in local time)
      */
-    constructor(logger, elasticClient) {
+    constructor(logger, elasticClient, { version, distribution, naming } = {}) {
         this.logger = logger;
         this.client = elasticClient;
+        this.adapter = new VersionAdapter(elasticClient, { version, distribution });
+        this.naming = createNamingStrategy(naming);
     }
 
     /**
      * Creates a new index with the name, mapping and settings
      * @param {string} indexName the name of the index
-     * @param {Object} mapping the index mapping (fields, types, etc)
+     * @param {Object} mapping the index mapping (fields, types, etc). When not set the mapping
+     * comes from the index templates matching the index name, and a warning is logged if none match.
      * @param {Object} settings the index settings (shards, replicas, analyzers, etc)
+     * @param {Object} options
+     * @param {string} options.waitForStatus When set, wait for the index to reach this health (yellow or green)
+     * @param {Number} options.healthTimeout The time in ms to wait for the health (Default: 30000)
+     * If the index does not reach the health in time it is left in place, and the error has its
+     * name as err.indexName.
      */
-    async createIndex(indexName, mapping, settings) {
+    async createIndex(indexName, mapping, settings, { waitForStatus, healthTimeout = 30000 } = {}) {
+        if (!mapping) {
+            try {
+                const templates = await this.getMatchingIndexTemplates(indexName);
+                if (!templates.length) {
+                    this.logger.warn(`No mapping was passed and no index template with a mapping matches ${indexName}, ` +
+                        `so its fields will be mapped dynamically`);
+                }
+            } catch (err) {
+                //The check is only advice, e.g. the user may not be allowed to read the templates.
+                this.logger.warn(`Could not check the index templates for ${indexName}, creating it anyway. ${err.message}`);
+            }
+        }
+
         let createResponse;
 
         try {
-            createResponse = await this.client.indices.create({
+            createResponse = await this.adapter.call('indices.create', {
                 index: indexName,
                 body: {
                     ...settings,
-                    ...mapping
+                    ...(await this.adapter.toVersionedMapping(mapping))
                 }
             });
         } catch (err) {
@@ -37,42 +256,239 @@ class ElasticTools {
             throw err;
         }
 
-        //NOTE: the response could indicate that the index creation did not 
-        //complete before the timeout. We need to identify when that will actually happen.        
+        if (waitForStatus) {
+            try {
+                await this.waitForIndexHealth(indexName, waitForStatus, healthTimeout);
+            } catch (err) {
+                //The index was created, so the caller needs its name to clean it up.
+                err.indexName = indexName;
+                throw err;
+            }
+        } else if (!createResponse.shards_acknowledged) {
+            //The index exists, but the shards were not started before the timeout.
+            this.logger.warn(`Index ${indexName} was created, but the shards were not started before the timeout`);
+        }
+    }
+
+    /**
+     * Waits for an index to reach a cluster health status.
+     * @param {string} indexName the name of the index
+     * @param {string} status the status to wait for, yellow or green
+     * @param {Number} timeout The time in ms to wait (Default: 30000)
+     */
+    async waitForIndexHealth(indexName, status, timeout = 30000) {
+        if (!['yellow', 'green'].includes(status)) {
+            throw new Error(`Cannot wait for health status ${status}, it must be yellow or green`);
+        }
+
+        let res;
+        try {
+            res = await this.adapter.call('cluster.health', {
+                index: indexName,
+                wait_for_status: status,
+                timeout: `${timeout}ms`
+            }, {
+                requestTimeout: timeout + 5000, //Give the server a chance to respond first.
+                ignore: [408] //The cluster responds with a 408 when it times out.
+            });
+        } catch (err) {
+            this.logger.error(`Could not get the health of index ${indexName}`);
+            throw err;
+        }
+
+        if (res.timed_out) {
+            const message = `Index ${indexName} did not reach ${status} health within ${timeout}ms, it is ${res.status}`;
+            this.logger.error(message);
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Gets the index templates, legacy and composable, that would give a new index a mapping.
+     * @param {string} indexName The name of the new index
+     * @returns {string[]} The names of the matching templates with a mapping
+     */
+    async getMatchingIndexTemplates(indexName) {
+        const templates = [];
+
+        try {
+            //Legacy templates still apply on versions with composable templates.
+            const legacy = await this.adapter.call('indices.getTemplate', {});
+            templates.push(...Object.keys(legacy).map(name => toIndexTemplate(name, legacy[name])));
+
+            if (await this.adapter.isAtLeast(7, 8)) {
+                const composable = await this.adapter.call('indices.getIndexTemplate', {});
+                templates.push(...(composable.index_templates || [])
+                    .map(template => toIndexTemplate(template.name, template.index_template)));
+            }
+        } catch (err) {
+            this.logger.error(`Could not get the index templates for ${indexName}`);
+            throw err;
+        }
+
+        return templates
+            .filter(template => Object.keys(template.mappings).length || template.composedOf.length)
+            .filter(template => template.indexPatterns.some(pattern => matchesIndexPattern(pattern, indexName)))
+            .map(template => template.name);
     }
 
     /**
      * Creates an index with a timestamp. Used for loaders that create indicies and then 
-     * swap aliases upon successful completion.
+     * swap aliases upon successful completion. The index is named by the naming strategy.
      * @param {*} name The index name prefix
-     * @param {Object} mappings the index mapping (fields, types, etc)
+     * @param {Object} mappings the index mapping (fields, types, etc). When not set the mapping
+     * comes from the index templates matching the index name.
      * @param {Object} settings the index settings (shards, replicas, analyzers, etc)
+     * @param {Object} options The options for createIndex (waitForStatus, healthTimeout). When the
+     * health wait fails the generated name is on the error as err.indexName.
      */
-    async createTimestampedIndex(name, mappings, settings) {
-        const now = moment();
-        const timestamp = now.format("YYYYMMDD_HHmmss");
-        const indexName = `${name}_${timestamp}`;
-        await this.createIndex(indexName, mappings, settings);
+    async createTimestampedIndex(name, mappings, settings, options = {}) {
+        const indexName = this.naming.format(name, new Date());
+        await this.createIndex(indexName, mappings, settings, options);
         return indexName;
     }
 
+    /**
+     * @typedef {Object} OptimizeResult
+     * @property {string} taskId The id of the force merge task, if the cluster supports them
+     * @property {Number} segmentCount The number of segments in the primary shards after the merge
+     * @property {Number} maxSegmentsPerShard The most segments in any primary shard after the merge
+     */
+
     /**
      * Performs a merge operation on the index to ensure cluster maintains a consistent state
+     *
+     * By default this sends the merge and waits up to 90 seconds for it, ignoring gateway timeouts.
+     * With waitForMerge set the merge is run in the background (as a task on Elasticsearch 7.7+)
+     * and is polled until it finishes, or the index reaches maxNumSegments segments per shard.
      * @param {string} indexName the name of the index to optimize
+     * @param {Object} options
+     * @param {Number} options.maxNumSegments The number of segments to merge each shard down to (Default: 1)
+     * @param {boolean} options.waitForMerge Poll until the merge has completed (Default: false)
+     * @param {Number} options.deadline The time in ms to wait for the merge when polling (Default: 1 hour)
+     * @param {Number} options.pollInterval The time in ms between polls (Default: 10000)
+     * @returns {OptimizeResult} The result of the merge when waitForMerge is set
      */
-    async optimizeIndex(indexName) {
+    async optimizeIndex(
+        indexName,
+        { maxNumSegments = 1, waitForMerge = false, deadline = 60 * 60 * 1000, pollInterval = 10000 } = {}
+    ) {
 
-        try {
-            await this.client.indices.forcemerge({
-                maxNumSegments: 1,
-                index: indexName,
-                requestTimeout: 90000 //Merges can be slow for big indexes.
-            })
-        } catch(err) {
-            if (err.statusCode !== 504) {
-                this.logger.error(`Could not optimize index ${indexName}`)
+        if (!waitForMerge) {
+            try {
+                await this.adapter.call('indices.forcemerge', {
+                    max_num_segments: maxNumSegments,
+                    index: indexName
+                }, {
+                    requestTimeout: 90000 //Merges can be slow for big indexes.
+                })
+            } catch(err) {
+                if (getErrorStatus(err) !== 504) {
+                    this.logger.error(`Could not optimize index ${indexName}`)
+                }
+            }
+            return;
+        }
+
+        if (await this.adapter.isAtLeast(7, 7)) {
+            let taskId;
+            try {
+                const res = await this.adapter.call('indices.forcemerge', {
+                    max_num_segments: maxNumSegments,
+                    index: indexName,
+                    wait_for_completion: false
+                });
+                taskId = res.task;
+            } catch (err) {
+                this.logger.error(`Could not start optimizing index ${indexName}`);
+                throw err;
+            }
+
+            await this.waitForTask(taskId, { pollInterval, deadline });
+
+            const counts = await this.getSegmentCounts(indexName);
+            this.logger.info(`Optimized index ${indexName} to ${counts.segmentCount} segments`);
+
+            return {
+                taskId,
+                ...counts
+            };
+        }
+
+        //Older versions cannot run the merge as a task. The merge keeps going on the server even if
+        //the request times out, so do not wait on it and watch the segments instead. The short timeout
+        //stops the request from holding the process open once polling is done.
+        const startTime = Date.now();
+        let mergeError = null;
+
+        this.adapter.call('indices.forcemerge', {
+            max_num_segments: maxNumSegments,
+            index: indexName
+        }, {
+            requestTimeout: 90000
+        }).catch(err => {
+            if (!isTimeoutError(err)) {
+                mergeError = err;
+            }
+        });
+
+        let counts;
+        while (true) {
+            if (mergeError) {
+                this.logger.error(`Could not optimize index ${indexName}`);
+                throw mergeError;
+            }
+
+            counts = await this.getSegmentCounts(indexName);
+            if (counts.maxSegmentsPerShard <= maxNumSegments) {
+                break;
             }
+
+            if ((Date.now() - startTime) >= deadline) {
+                const message = `Force merge of index ${indexName} did not complete within ${deadline}ms`;
+                this.logger.error(message);
+                throw new Error(message);
+            }
+
+            this.logger.debug(`Waiting for force merge of index ${indexName} to complete`);
+            await sleep(pollInterval);
+        }
+
+        this.logger.info(`Optimized index ${indexName} to ${counts.segmentCount} segments`);
+
+        return {
+            taskId: null,
+            ...counts
+        };
+    }
+
+    /**
+     * Gets the number of segments in the primary shards of an index.
+     * @param {string} indexName the name of the index
+     * @returns {Object} The total segmentCount and the maxSegmentsPerShard
+     */
+    async getSegmentCounts(indexName) {
+        let res;
+
+        try {
+            res = await this.adapter.call('indices.segments', {
+                index: indexName
+            });
+        } catch (err) {
+            this.logger.error(`Could not get segments for index ${indexName}`);
+            throw err;
         }
+
+        //Each shard is an array of its copies, only count the primaries.
+        const primaryCounts = Object.values(res.indices)
+            .reduce((ac, idx) => [ ...ac, ...Object.values(idx.shards) ], [])
+            .map(copies => copies.find(copy => copy.routing.primary) || copies[0])
+            .map(copy => copy.num_search_segments);
+
+        return {
+            segmentCount: primaryCounts.reduce((ac, count) => ac + count, 0),
+            maxSegmentsPerShard: Math.max(0, ...primaryCounts)
+        };
     }
 
     /**
@@ -82,7 +498,7 @@ class ElasticTools {
     async deleteIndex(indexName) {        
 
         try {
-            await this.client.indices.delete({
+            await this.adapter.call('indices.delete', {
                 index: indexName
             })
         } catch(err) {
@@ -92,17 +508,27 @@ class ElasticTools {
         
     }
 
+    /**
+     * @typedef {Object} SwapGuards
+     * @property {Number} minDocCount The minimum number of documents the new index must have
+     * @property {Number} maxDocCountChangePercent The most the new index's document count may differ
+     * from the indices currently behind the alias, as a percentage of their count
+     */
+
     /**
      * Points an alias to a new index name.  This will remove all other
      * indices from the alias.  
      * @param {*} aliasName 
      * @param {*} indexName 
+     * @param {SwapGuards} guards Optional checks that must pass before the alias is swapped
      */
-    async setAliasToSingleIndex(aliasName, indexName) {
+    async setAliasToSingleIndex(aliasName, indexName, guards = {}) {
         //Get indices for aliases
         try {
             const assocIndices = await this.getIndicesForAlias(aliasName);
             const removeIdx = assocIndices.filter(idx => idx !== indexName);
+
+            await this.checkSwapGuards(indexName, removeIdx, guards);
             
             await this.updateAlias(aliasName, {
                 add: indexName,
@@ -115,12 +541,76 @@ class ElasticTools {
     }
 
     /**
-     * Gets a list of indices matching an aliasName for when indices are named using the
-     * <aliasName>_<timestamp> format.
+     * Checks that a new index is safe to swap in for the current indices.
+     * @param {string} indexName The new index
+     * @param {string[]} currentIndices The indices currently behind the alias
+     * @param {SwapGuards} guards The checks to make
+     */
+    async checkSwapGuards(indexName, currentIndices, { minDocCount, maxDocCountChangePercent } = {}) {
+        const checkMin = minDocCount !== undefined && minDocCount !== null;
+        const checkChange = maxDocCountChangePercent !== undefined && maxDocCountChangePercent !== null;
+
+        if (!checkMin && !checkChange) {
+            return;
+        }
+
+        //Make sure everything that was loaded is counted.
+        await this.adapter.call('indices.refresh', { index: indexName });
+        const newCount = await this.getDocumentCount(indexName);
+
+        if (checkMin && newCount < minDocCount) {
+            throw new Error(`Index ${indexName} has ${newCount} documents, less than the minimum of ${minDocCount}`);
+        }
+
+        //There is nothing to compare against for the first load.
+        if (checkChange && currentIndices.length) {
+            const currentCount = await this.getDocumentCount(currentIndices);
+            const changePercent = currentCount === 0 ?
+                (newCount === 0 ? 0 : Infinity) :
+                Math.abs(newCount - currentCount) / currentCount * 100;
+
+            if (changePercent > maxDocCountChangePercent) {
+                throw new Error(
+                    `Index ${indexName} has ${newCount} documents, ${changePercent.toFixed(1)}% different than the ` +
+                    `${currentCount} documents in ${currentIndices.join(', ')}, more than the allowed ${maxDocCountChangePercent}%`
+                );
+            }
+        }
+    }
+
+    /**
+     * Gets the number of documents in one or more indices.
+     * @param {(string|string[])} indexName The index, alias or indices to count
+     * @returns {Number} the number of documents
+     */
+    async getDocumentCount(indexName) {
+        let res;
+
+        try {
+            res = await this.adapter.call('count', {
+                index: indexName
+            });
+        } catch (err) {
+            this.logger.error(`Could not count the documents in ${indexName}`);
+            throw err;
+        }
+
+        return res.count;
+    }
+
+    /**
+     * @typedef {Object} IndexCreationDate
+     * @property {string} name The name of the index
+     * @property {Number} creationDate The creation date of the index in ms since the epoch
+     */
+
+    /**
+     * Gets all of the indices matching an aliasName, newest first, for when indices are
+     * named using the <aliasName>_<timestamp> format.
      * @param {string} aliasName The root name for the indices..  Must not be empty.
-     * @param {Date} datetime 
+     * @returns {IndexCreationDate[]} The indices and their creation dates
      */
-    async getIndicesOlderThan(aliasName, datetime) {
+    async getIndicesByCreationDate(aliasName) {
 
         if (!aliasName) {
             throw new Error("aliasName cannot be null");
@@ -129,25 +619,191 @@ class ElasticTools {
         let res;
 
         try {
-            res = await this.client.indices.getSettings({
+            res = await this.adapter.call('indices.getSettings', {
                 index: (aliasName + '*'),
                 name: "index.creation_date" //Only get creation date field
             })
         } catch (err) {
-            this.logger.error(`Could not get indices older than ${datetime} for pattern ${aliasName}*`);
+            this.logger.error(`Could not get creation dates for pattern ${aliasName}*`);
+            throw err;
+        }
+
+        return Object.keys(res)
+            .map(idx => ({
+                name: idx,
+                creationDate: Number(res[idx].settings.index.creation_date)
+            }))
+            .sort((a,b) => b.creationDate - a.creationDate);
+    }
+
+    /**
+     * @typedef {Object} TimestampedIndex
+     * @property {string} name The name of the index
+     * @property {Number} creationDate The creation date of the index in ms since the epoch
+     * @property {Number} timestamp The time parsed from the index name, or null if the naming strategy
+     * could not parse it
+     */
+
+    /**
+     * Gets all of the indices matching a prefix, newest first.  Indices are ordered by the time
+     * in their names, falling back to their creation dates for names that cannot be parsed.
+     * @param {string} prefix The prefix for the timestamped indices. (Usually the alias name)
+     * @returns {TimestampedIndex[]} The indices
+     */
+    async getIndicesByAge(prefix) {
+        const indices = await this.getIndicesByCreationDate(prefix);
+
+        return indices
+            .map(idx => ({ ...idx, timestamp: this.naming.parse(prefix, idx.name) }))
+            .sort((a, b) => (getIndexTime(b) - getIndexTime(a)) || b.name.localeCompare(a.name));
+    }
+
+    /**
+     * @typedef {Object} IndexInventoryItem
+     * @property {string} name The name of the index
+     * @property {Number} creationDate The creation date of the index in ms since the epoch
+     * @property {Number} timestamp The time from the index name in ms since the epoch
+     * @property {Number} docCount The number of documents (null for closed indices)
+     * @property {Number} storeSize The size of the index, including replicas, in bytes (null for closed indices)
+     * @property {string} health The health of the index, green, yellow or red
+     * @property {string} status Either open or close
+     * @property {Number} segmentCount The number of segments in the primary shards (null for closed indices)
+     * @property {string[]} aliases The aliases that point to the index
+     */
+
+    /**
+     * Lists the timestamped indices for a prefix with their details, newest first.  Only indices
+     * whose names can be parsed by the naming strategy are listed.
+     * @param {string} prefix The prefix for the timestamped indices. (Usually the alias name)
+     * @returns {IndexInventoryItem[]} The indices
+     */
+    async listIndices(prefix) {
+        const indices = (await this.getIndicesByAge(prefix))
+            .filter(idx => idx.timestamp !== null);
+
+        if (!indices.length) {
+            return [];
+        }
+
+        let stats;
+        let aliases;
+
+        try {
+            stats = await this.adapter.call('cat.indices', {
+                index: `${prefix}*`,
+                format: 'json',
+                bytes: 'b',
+                h: 'index,health,status,docs.count,store.size,pri.segments.count'
+            });
+
+            aliases = await this.adapter.call('indices.getAlias', {
+                index: `${prefix}*`
+            });
+        } catch (err) {
+            this.logger.error(`Could not get the details of the indices for pattern ${prefix}*`);
             throw err;
         }
 
-        const indices = Object.keys(res);
-        const older = indices
-            .filter(idx => res[idx].settings.index.creation_date < datetime)
-            .sort((a,b) => {  
-                const adate = res[a].settings.index.creation_date;
-                const bdate = res[b].settings.index.creation_date;
-                return bdate - adate;
+        //Closed indices have no stats.
+        const toNumber = value => (value === null || value === undefined || value === '') ? null : Number(value);
+
+        return indices.map(idx => {
+            const stat = stats.find(row => row.index === idx.name) || {};
+
+            return {
+                name: idx.name,
+                creationDate: idx.creationDate,
+                timestamp: idx.timestamp,
+                docCount: toNumber(stat['docs.count']),
+                storeSize: toNumber(stat['store.size']),
+                health: stat.health,
+                status: stat.status,
+                segmentCount: toNumber(stat['pri.segments.count']),
+                aliases: Object.keys((aliases[idx.name] || {}).aliases || {})
+            };
+        });
+    }
+
+    /**
+     * @typedef {Object} RollbackResult
+     * @property {string} aliasName The alias that was rolled back
+     * @property {string} from The index the alias pointed to before the rollback
+     * @property {string} to The index the alias points to now
+     */
+
+    /**
+     * Points an alias back to the newest index older than the one it currently points to, for
+     * when indices are named by createTimestampedIndex.  The indices are ordered by the time the
+     * naming strategy parses from their names.  Indices archived by cleanupOldIndices are skipped.
+     * This will remove all other indices from the alias.
+     * @param {string} aliasName The alias to roll back
+     * @returns {RollbackResult} What the alias was switched from and to
+     */
+    async rollbackAlias(aliasName) {
+        const assocIndices = await this.getIndicesForAlias(aliasName);
+
+        //Only indices the naming strategy can parse are ordered by name.
+        const indices = (await this.getIndicesByAge(aliasName))
+            .filter(idx => idx.timestamp !== null);
+
+        //Use the newest index as the current one, just in case there are more.
+        const currentPos = indices.findIndex(idx => assocIndices.includes(idx.name));
+
+        if (currentPos === -1) {
+            throw new Error(`Alias ${aliasName} does not point to a timestamped index, cannot roll back`);
+        }
+
+        const current = indices[currentPos];
+
+        //The indices are newest first, so the next unaliased one is the previous load.
+        const olderIndices = indices
+            .slice(currentPos + 1)
+            .filter(idx => !assocIndices.includes(idx.name));
+
+        if (olderIndices.length === 0) {
+            throw new Error(`No index older than ${current.name} exists for alias ${aliasName}, cannot roll back`);
+        }
+
+        //Indices closed or made read-only by cleanupOldIndices are not fit to be aliased again.
+        const archivedIndices = await this.getArchivedIndices(aliasName);
+        const previousIndex = olderIndices.find(idx => !archivedIndices.includes(idx.name));
+        const previous = previousIndex && previousIndex.name;
+
+        if (!previous) {
+            throw new Error(`Every index older than ${current.name} for alias ${aliasName} is archived, cannot roll back`);
+        }
+
+        try {
+            await this.updateAlias(aliasName, {
+                add: previous,
+                remove: assocIndices
             });
+        } catch (err) {
+            this.logger.error(`Could not roll back alias ${aliasName} from ${current.name} to ${previous}`);
+            throw err;
+        }
+
+        this.logger.info(`Rolled back alias ${aliasName} from ${current.name} to ${previous}`);
 
-        return older;
+        return {
+            aliasName,
+            from: current.name,
+            to: previous
+        };
+    }
+
+    /**
+     * Gets a list of indices matching an aliasName for when indices are named using the
+     * <aliasName>_<timestamp> format.
+     * @param {string} aliasName The root name for the indices..  Must not be empty.
+     * @param {Date} datetime 
+     */
+    async getIndicesOlderThan(aliasName, datetime) {
+        const indices = await this.getIndicesByCreationDate(aliasName);
+
+        return indices
+            .filter(idx => idx.creationDate < datetime)
+            .map(idx => idx.name);
     }
 
     /**
@@ -192,7 +848,7 @@ class ElasticTools {
 
         // Just gets back { acknowledged: true }
         try {
-            await this.client.indices.updateAliases({
+            await this.adapter.call('indices.updateAliases', {
                 body : {
                     actions
                 }
@@ -213,13 +869,13 @@ class ElasticTools {
         let res;
 
         try {
-            res = await this.client.indices.getAlias({
+            res = await this.adapter.call('indices.getAlias', {
                 name: aliasName
             })
         } catch(err) {
 
             // There are no indices. so just return
-            if (err.status == 404) {
+            if (getErrorStatus(err) == 404) {
                 return [];
             }
 
@@ -233,16 +889,21 @@ class ElasticTools {
     /**
      * Index a single document
      * @param {string} indexName the name of the index to store the document
-     * @param {string} type the document to store
+     * @param {string} type the elasticsearch type of the document (Ignored by versions without types)
      * @param {string} id the unique ID of the document
      * @param {Object} document the document to store
+     * @param {Object} options
+     * @param {string} options.pipeline The ingest pipeline to run the document through
      */
-    async indexDocument(indexName, type, id, document) {
+    async indexDocument(indexName, type, id, document, { pipeline } = {}) {
+        const usesTypes = await this.adapter.usesTypes();
+
         try {
-            await this.client.index({
+            await this.adapter.call('index', {
                 index: indexName,
-                type,
+                ...(usesTypes ? { type } : {}),
                 id,
+                ...(pipeline ? { pipeline } : {}),
                 body: document
             })
         } catch(err) {
@@ -268,43 +929,38 @@ class ElasticTools {
      * Indexes a collection of documents where each document is a ID/Doc pair.
      * NOTE: This will NOT validate, so don't expect nice error messages.
      * @param {*} indexName The index anem to store the documents
-     * @param {*} type The elasticsearch type of the document
+     * @param {*} type The elasticsearch type of the document (Ignored by versions without types)
      * @param {Array of object} idDocArr An array of id/document pairs. e.g. [[1, {}], [2, {}]]. 
      * NOTE: this will not check if IDs are duplicated. It will also not check if the documents
      * to be created already exist! Existing IDs will have their records updated.
+     * Items rejected with a retryable error (e.g. 429 / es_rejected_execution_exception) are
+     * resubmitted with an exponential backoff until they succeed or maxAttempts is reached.
+     * Permanent failures, and retryable ones that ran out of attempts, are returned in errors.
+     * @param {Object} options
+     * @param {Number} options.requestTimeout The request timeout in ms (Default: 120000)
+     * @param {BulkRetryOptions} options.retry The retry options for rejected items
+     * @param {string} options.deadLetterFile When set, each failed document is appended to this NDJSON file
+     * so it can be replayed with replayDeadLetters
+     * @param {string} options.pipeline The ingest pipeline to run the documents through
      * @returns {BulkResponse} The results of the request
      */
-    async indexDocumentBulk(indexName, type, idDocArr) {
-        //Transform the collection of docs into the ES format.
-        //The format is:
-        //Action
-        //document
-        //...
-        //Action
-        //document
-        const body = idDocArr.reduce(
-            (ac, c) => [
-                ...ac,
-                { index: { _index: indexName, _type: type, _id: c[0]}},
-                c[1]
-            ],
-            []
-        );
-
-        let res;
-        try {
-          res = await this.client.bulk({
-              body,
-              requestTimeout: 120000 //2 minutes should be plenty, otherwise, use smaller chunks
-          });
-        } catch (err) {
-            this.logger.error(`Server error occurred indexing documents in bulk.`);
-            throw(err);
-        }
+    async indexDocumentBulk(
+        indexName,
+        type,
+        idDocArr,
+        { requestTimeout = 120000, retry = {}, deadLetterFile, pipeline } = {}
+    ) {
+        const operations = idDocArr.map(c => ({
+            action: 'index',
+            index: indexName,
+            type,
+            id: c[0],
+            document: c[1],
+            pipeline
+        }));
 
-        //Extract out the index requests
-        //Look at the test cases if you need to understand what the response looks like.
-        const indexedItems = res.items.filter(i => i.index).map(i => i.index);
+        const results = await this.sendBulkOperations(operations, { requestTimeout, retry });
+        const indexedItems = results.map(r => r.item);
 
         //Each index request can create, update or fail. Let's make it easier to deal with
         //for the consumer.
@@ -314,47 +970,1925 @@ class ElasticTools {
             errors: indexedItems.filter(i => i.error).map(i => ({ id: i._id, error: i.error}))
         }
 
+        const failed = results.filter(r => r.item.error);
+        if (deadLetterFile && failed.length) {
+            const usesTypes = await this.adapter.usesTypes();
+            await this.writeDeadLetters(
+                deadLetterFile,
+                failed.map(({ operation, item }) => ({
+                    id: item._id,
+                    index: indexName,
+                    ...(usesTypes ? { type } : {}),
+                    error: item.error,
+                    document: operation.document
+                }))
+            );
+        }
+
         return methodResponse;
     }
 
+    /**
+     * @typedef {Object} BulkOperation
+     * @property {string} action One of index, create (fails if the document exists), update or delete
+     * @property {string} index The index of the document
+     * @property {string} type The elasticsearch type of the document (Ignored by versions without types)
+     * @property {string} id The id of the document (Optional for index and create)
+     * @property {Object} document The document for index and create, or the partial document for update
+     * @property {boolean} docAsUpsert For update, create the document from the partial document if it does not exist
+     * @property {Object} upsert For update, the document to create if it does not exist
+     * @property {Object} script For update, the script to run against the document (e.g. { source, params })
+     * @property {Number} retryOnConflict For update, the number of times to retry on a version conflict
+     * @property {string} pipeline For index and create, the ingest pipeline to run the document through
+     */
 
     /**
-     * Cleans up all the old unused indices. Always at least one is kept.
-     * @param {string} indexPrefix The prefix for the timestamped indices. (Usually the alias name)
-     * @param {Number} daysToKeep The number of days to keep (Default: 5)
-     * @param {Number} minIndexesToKeep The minimum number of indexes to keep. (Default: 0) (Not Implemented)
+     * @typedef {Object} BulkOperationError
+     * @property {string} id The id of the document
+     * @property {string} action The action of the operation
+     * @property {Number} status The HTTP status of the operation
+     * @property {object} error The elastic search error (in its structure)
      */
-    async cleanupOldIndices(indexPrefix, daysToKeep = 5, minIndexesToKeep = 0) {
-        //Setup time for the old date.
-        const olderThanDate = moment().subtract(daysToKeep, 'days').startOf('day').valueOf();
 
-        //Get all the indices older than our cutoff.            
-        const oldIndices = await this.getIndicesOlderThan(indexPrefix, olderThanDate);
+    /**
+     * @typedef {Object} BulkOperationItem
+     * @property {string} action The action of the operation
+     * @property {string} id The id of the document
+     * @property {string} index The index of the document
+     * @property {Number} status The HTTP status of the operation
+     * @property {string} result The result, e.g. created, updated, deleted, noop or not_found
+     * @property {object} error The elastic search error, if the operation failed
+     */
 
-        //If there are no indices, then move on. No sense calling more services
+    /**
+     * @typedef {Object} BulkOperationsResponse
+     * @property {string[]} created The ids of the created documents
+     * @property {string[]} updated The ids of the updated documents - can contain dupes
+     * @property {string[]} deleted The ids of the deleted documents
+     * @property {string[]} noop The ids of the documents an update did not change
+     * @property {string[]} conflicts The ids of the documents that had a version conflict (e.g. create of an existing document)
+     * @property {BulkOperationError[]} errors The other errors that occurred, ids can be duplicated
+     * @property {BulkOperationItem[]} items The result of every operation
+     */
+
+    /**
+     * Performs a mix of index, create, update and delete operations in bulk. Rejected operations are
+     * retried the same way as indexDocumentBulk.
+     * @param {BulkOperation[]} operations The operations to perform
+     * @param {Object} options
+     * @param {Number} options.requestTimeout The request timeout in ms (Default: 120000)
+     * @param {BulkRetryOptions} options.retry The retry options for rejected operations
+     * @returns {BulkOperationsResponse} The results of the request
+     */
+    async bulk(operations, { requestTimeout = 120000, retry = {} } = {}) {
+        const results = await this.sendBulkOperations(operations, { requestTimeout, retry });
+
+        const methodResponse = {
+            created: [],
+            updated: [],
+            deleted: [],
+            noop: [],
+            conflicts: [],
+            errors: [],
+            items: []
+        };
+
+        results.forEach(({ operation, item }) => {
+            methodResponse.items.push({
+                action: operation.action,
+                id: item._id,
+                index: item._index,
+                status: item.status,
+                result: item.result,
+                ...(item.error ? { error: item.error } : {})
+            });
+
+            if (item.status === 409) {
+                methodResponse.conflicts.push(item._id);
+            } else if (item.error) {
+                methodResponse.errors.push({ id: item._id, action: operation.action, status: item.status, error: item.error });
+            } else if (['created', 'updated', 'deleted', 'noop'].includes(item.result)) {
+                methodResponse[item.result].push(item._id);
+            }
+        });
+
+        return methodResponse;
+    }
+
+    /**
+     * Sends bulk operations, retrying the ones that were rejected.
+     * @param {BulkOperation[]} operations The operations to perform
+     * @param {Object} options
+     * @param {Number} options.requestTimeout The request timeout in ms
+     * @param {BulkRetryOptions} options.retry The retry options for rejected operations
+     * @returns {Object[]} The operation and its final response item for each operation
+     */
+    async sendBulkOperations(operations, { requestTimeout, retry = {} }) {
+        const retryOpts = { ...DEFAULT_BULK_RETRY, ...retry };
+        const usesTypes = await this.adapter.usesTypes();
+
+        const results = [];
+
+        let pending = operations;
+        for (let attempt = 1; pending.length; attempt++) {
+            //Transform the collection of operations into the ES format.
+            //The format is:
+            //Action
+            //document (Not for deletes)
+            //...
+            //Action
+            //document
+            const body = pending.reduce(
+                (ac, op) => [
+                    ...ac,
+                    ...toBulkLines(op, usesTypes)
+                ],
+                []
+            );
+
+            let res;
+            try {
+              res = await this.adapter.call('bulk', {
+                  body
+              }, {
+                  requestTimeout //2 minutes should be plenty, otherwise, use smaller chunks
+              });
+            } catch (err) {
+                this.logger.error(`Server error occurred indexing documents in bulk.`);
+                throw(err);
+            }
+
+            //Each item is keyed by its action, e.g. { index: {...} }
+            //Look at the test cases if you need to understand what the response looks like.
+            //NOTE: The items are in the same order as the request, so item i is pending[i].
+            const items = res.items.map(i => i[Object.keys(i)[0]]);
+
+            const canRetry = attempt < retryOpts.maxAttempts;
+            const toRetry = [];
+            items.forEach((item, idx) => {
+                if (canRetry && item.error && isRetryableBulkItem(item)) {
+                    toRetry.push(pending[idx]);
+                } else {
+                    results.push({ operation: pending[idx], item });
+                }
+            });
+
+            pending = toRetry;
+            if (pending.length) {
+                const delay = getBackoffDelay(attempt, retryOpts);
+                this.logger.warn(`${pending.length} bulk operations were rejected, retrying in ${delay}ms (attempt ${attempt + 1} of ${retryOpts.maxAttempts})`);
+                await sleep(delay);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Indexes a stream of documents where each document is a ID/Doc pair. The documents
+     * are sent to indexDocumentBulk in batches, a batch is flushed when it reaches either
+     * maxDocs documents or maxBytes of serialized request body.
+     *
+     * Up to concurrency requests are sent at once, and requests can be throttled to a number
+     * of documents or bytes per second.  When either limit is reached no more documents are
+     * read from the source until a request can be sent, applying backpressure to a stream.
+     * NOTE: Like indexDocumentBulk, this will NOT validate or check for duplicate IDs. With a
+     * concurrency over 1 the ids in the response are not in the order of the source.
+     * @param {string} indexName The index name to store the documents
+     * @param {string} type The elasticsearch type of the document
+     * @param {(AsyncIterable|Iterable|stream.Readable)} source The id/document pairs, e.g. an
+     * async generator or an object mode readable stream yielding [1, {}], [2, {}], ...
+     * @param {Object} options
+     * @param {Number} options.maxDocs The maximum number of documents per request (Default: 1000)
+     * @param {Number} options.maxBytes The maximum serialized size of a request in bytes (Default: 5MB)
+     * @param {Number} options.requestTimeout The request timeout in ms for each request (Default: 120000)
+     * @param {BulkRetryOptions} options.retry The retry options for rejected items
+     * @param {string} options.deadLetterFile When set, each failed document is appended to this NDJSON file
+     * @param {Number} options.concurrency The maximum number of requests in flight (Default: 1)
+     * @param {Number} options.maxDocsPerSecond When set, limits the rate documents are sent
+     * @param {Number} options.maxBytesPerSecond When set, limits the rate request bytes are sent
+     * @param {string} options.pipeline The ingest pipeline to run the documents through
+     * @returns {BulkResponse} The combined results of all of the requests
+     */
+    async indexDocumentStream(
+        indexName,
+        type,
+        source,
+        {
+            maxDocs = 1000,
+            maxBytes = 5 * 1024 * 1024,
+            requestTimeout = 120000,
+            retry = {},
+            deadLetterFile,
+            concurrency = 1,
+            maxDocsPerSecond,
+            maxBytesPerSecond,
+            pipeline
+        } = {}
+    ) {
+        const totals = {
+            created: [],
+            updated: [],
+            errors: []
+        };
+
+        const usesTypes = await this.adapter.usesTypes();
+
+        let batch = [];
+        let batchBytes = 0;
+
+        const inFlight = new Set();
+        let requestError = null;
+
+        const startTime = Date.now();
+        let sentDocs = 0;
+        let sentBytes = 0;
+
+        //Waits until sending the next batch keeps us under the rate limits.
+        const throttle = async (docs, bytes) => {
+            const minElapsed = Math.max(
+                maxDocsPerSecond ? (sentDocs / maxDocsPerSecond) * 1000 : 0,
+                maxBytesPerSecond ? (sentBytes / maxBytesPerSecond) * 1000 : 0
+            );
+            const waitMs = minElapsed - (Date.now() - startTime);
+            if (waitMs > 0) {
+                await sleep(waitMs);
+            }
+
+            sentDocs += docs;
+            sentBytes += bytes;
+        };
+
+        const flush = async () => {
+            if (!batch.length) {
+                return;
+            }
+
+            const toSend = batch;
+            const toSendBytes = batchBytes;
+            batch = [];
+            batchBytes = 0;
+
+            //Wait for a free slot. Not returning stops the source from being read.
+            while (inFlight.size >= concurrency) {
+                await Promise.race(inFlight);
+            }
+            if (requestError) {
+                throw requestError;
+            }
+
+            await throttle(toSend.length, toSendBytes);
+
+            const request = this.indexDocumentBulk(indexName, type, toSend, { requestTimeout, retry, deadLetterFile, pipeline })
+                .then(res => {
+                    totals.created.push(...res.created);
+                    totals.updated.push(...res.updated);
+                    totals.errors.push(...res.errors);
+                })
+                .catch(err => {
+                    requestError = requestError || err;
+                })
+                .finally(() => inFlight.delete(request));
+            inFlight.add(request);
+        };
+
+        for await (const idDoc of source) {
+            const [id, doc] = idDoc;
+
+            //The action line plus the document, each followed by a newline.
+            const docBytes =
+                Buffer.byteLength(JSON.stringify({ index: { _index: indexName, ...(usesTypes ? { _type: type } : {}), _id: id } })) +
+                Buffer.byteLength(JSON.stringify(doc)) + 2;
+
+            //A single document larger than maxBytes is still sent, just on its own.
+            if (batch.length && (batchBytes + docBytes) > maxBytes) {
+                await flush();
+            }
+
+            batch.push(idDoc);
+            batchBytes += docBytes;
+
+            if (batch.length >= maxDocs) {
+                await flush();
+            }
+        }
+
+        await flush();
+
+        await Promise.all(inFlight);
+        if (requestError) {
+            throw requestError;
+        }
+
+        return totals;
+    }
+
+    /**
+     * @typedef {Object} ReindexResult
+     * @property {string} taskId The id of the reindex task
+     * @property {Number} total The number of documents that were processed
+     * @property {Number} created The number of documents that were created
+     * @property {Number} updated The number of documents that were updated
+     * @property {Number} failed The number of documents that failed
+     * @property {Object[]} failures The failures, in the elasticsearch structure
+     */
+
+    /**
+     * Copies documents from one index into another with a server-side reindex task, e.g. to move
+     * the data behind an alias into a new timestamped index with a changed mapping.  The task is
+     * polled until it completes, and its progress is logged.
+     *
+     * Elasticsearch aborts a reindex at the first bulk failure, so when there are failures only
+     * part of the documents were copied.  The error is then rethrown with the result attached as
+     * err.reindexResult.
+     * @param {string} sourceIndex The index or alias to copy from
+     * @param {string} destIndex The index to copy to
+     * @param {Object} options
+     * @param {Object} options.query The query for the documents to copy (Default: all documents)
+     * @param {Object} options.script A script to modify the documents (e.g. { source, params })
+     * @param {Number} options.requestsPerSecond Throttles the reindex (Default: unthrottled)
+     * @param {Number} options.pollInterval The time in ms between polls of the task (Default: 10000)
+     * @returns {ReindexResult} The counts of the reindex
+     */
+    async reindexInto(sourceIndex, destIndex, { query, script, requestsPerSecond, pollInterval = 10000 } = {}) {
+        let taskId;
+
+        try {
+            const res = await this.adapter.call('reindex', {
+                wait_for_completion: false,
+                ...(requestsPerSecond ? { requests_per_second: requestsPerSecond } : {}),
+                body: {
+                    source: {
+                        index: sourceIndex,
+                        ...(query ? { query } : {})
+                    },
+                    dest: {
+                        index: destIndex
+                    },
+                    ...(script ? { script } : {})
+                }
+            });
+            taskId = res.task;
+        } catch (err) {
+            this.logger.error(`Could not start reindex from ${sourceIndex} to ${destIndex}`);
+            throw err;
+        }
+
+        const task = await this.waitForTask(taskId, {
+            pollInterval,
+            onProgress: ({ status }) => {
+                const done = status.created + status.updated + status.deleted + status.version_conflicts + status.noops;
+                this.logger.info(`Reindex from ${sourceIndex} to ${destIndex}: ${done} of ${status.total} documents`);
+            }
+        });
+
+        const response = task.response || {};
+        if (response.canceled) {
+            const message = `Reindex task ${taskId} from ${sourceIndex} to ${destIndex} was cancelled. ${response.canceled}`;
+            this.logger.error(message);
+            throw new Error(message);
+        }
+
+        const failures = response.failures || [];
+        const result = {
+            taskId,
+            total: response.total,
+            created: response.created,
+            updated: response.updated,
+            failed: failures.length,
+            failures
+        };
+
+        if (failures.length) {
+            const message = `Reindex task ${taskId} from ${sourceIndex} to ${destIndex} was aborted after ` +
+                `${failures.length} failures, ${response.created + response.updated} of ${response.total} documents were copied`;
+            this.logger.error(message);
+            const err = new Error(message);
+            err.reindexResult = result;
+            throw err;
+        }
+
+        return result;
+    }
+
+    /**
+     * Polls a task until it completes.
+     * @param {string} taskId The id of the task
+     * @param {Object} options
+     * @param {Number} options.pollInterval The time in ms between polls (Default: 10000)
+     * @param {Number} options.deadline The time in ms to wait for the task (Default: no deadline)
+     * @param {Function} options.onProgress Called with the task info each time an incomplete task is polled
+     * @returns {Object} The completed task, in the elasticsearch structure
+     */
+    async waitForTask(taskId, { pollInterval = 10000, deadline, onProgress } = {}) {
+        const startTime = Date.now();
+
+        while (true) {
+            let res;
+            try {
+                res = await this.adapter.call('tasks.get', { task_id: taskId });
+            } catch (err) {
+                this.logger.error(`Could not get the status of task ${taskId}`);
+                throw err;
+            }
+
+            if (res.completed) {
+                if (res.error) {
+                    const message = `Task ${taskId} failed. ${res.error.reason}`;
+                    this.logger.error(message);
+                    throw new Error(message);
+                }
+                return res;
+            }
+
+            if (onProgress) {
+                onProgress(res.task);
+            }
+
+            if (deadline !== undefined && (Date.now() - startTime) >= deadline) {
+                const message = `Task ${taskId} did not complete within ${deadline}ms`;
+                this.logger.error(message);
+                throw new Error(message);
+            }
+
+            await sleep(pollInterval);
+        }
+    }
+
+    /**
+     * Exports the documents in an index or alias as NDJSON in the bulk format, an index action
+     * line (with the original index, type and id) followed by the document for each document.
+     * The export can be sent to the _bulk API as is, or loaded into another index with importIndex.
+     * @param {string} indexOrAlias The index or alias to export
+     * @param {(string|stream.Writable)} destination The file path or writable stream to write to. A
+     * stream passed in is not ended.
+     * @param {Object} options
+     * @param {Object} options.query The query for the documents to export (Default: all documents)
+     * @param {string[]} options.fields The fields of the documents to export (Default: all fields)
+     * @param {Number} options.batchSize The number of documents to fetch per request (Default: 1000)
+     * @param {string} options.scrollTimeout How long to keep the scroll context between requests (Default: 5m)
+     * @returns {Object} The number of documents exported
+     */
+    async exportIndex(indexOrAlias, destination, { query, fields, batchSize = 1000, scrollTimeout = '5m' } = {}) {
+        const out = typeof destination === 'string' ? fs.createWriteStream(destination) : destination;
+        const usesTypes = await this.adapter.usesTypes();
+
+        //Without a listener a stream error (e.g. a bad path) would crash the process.
+        let streamError = null;
+        const onStreamError = err => {
+            streamError = streamError || err;
+        };
+        out.on('error', onStreamError);
+
+        let exported = 0;
+        let scrollId = null;
+
+        try {
+            if (typeof destination === 'string') {
+                await once(out, 'open');
+            }
+
+            let res = await this.adapter.call('search', {
+                index: indexOrAlias,
+                scroll: scrollTimeout,
+                body: {
+                    size: batchSize,
+                    query: query || { match_all: {} },
+                    ...(fields ? { _source: fields } : {}),
+                    sort: [ '_doc' ] //The fastest order for scrolling
+                }
+            });
+
+            while (res.hits.hits.length) {
+                scrollId = res._scroll_id;
+
+                for (const hit of res.hits.hits) {
+                    if (streamError) {
+                        throw streamError;
+                    }
+
+                    const lines = toBulkLines({
+                        action: 'index',
+                        index: hit._index,
+                        type: hit._type,
+                        id: hit._id,
+                        document: hit._source
+                    }, usesTypes);
+
+                    //Wait for the destination to catch up instead of buffering the whole index.
+                    if (!out.write(lines.map(line => JSON.stringify(line) + '\n').join(''))) {
+                        await once(out, 'drain');
+                    }
+                    exported++;
+                }
+
+                res = await this.adapter.call('scroll', {
+                    body: {
+                        scroll: scrollTimeout,
+                        scroll_id: scrollId
+                    }
+                });
+            }
+        } catch (err) {
+            this.logger.error(`Could not export ${indexOrAlias}. ${err.message}`);
+            throw err;
+        } finally {
+            if (scrollId) {
+                try {
+                    await this.adapter.call('clearScroll', { body: { scroll_id: [ scrollId ] } });
+                } catch (err) {
+                    //The scroll will expire on its own.
+                    this.logger.warn(`Could not clear the scroll for ${indexOrAlias}`);
+                }
+            }
+
+            if (typeof destination === 'string') {
+                //An errored stream never finishes.
+                if (streamError) {
+                    out.destroy();
+                } else {
+                    out.end();
+                    await once(out, 'finish');
+                }
+            }
+            out.removeListener('error', onStreamError);
+        }
+
+        if (streamError) {
+            this.logger.error(`Could not export ${indexOrAlias}. ${streamError.message}`);
+            throw streamError;
+        }
+
+        this.logger.info(`Exported ${exported} documents from ${indexOrAlias}`);
+
+        return { exported };
+    }
+
+    /**
+     * Loads a file created by exportIndex into an index, rather than the index it was exported from.
+     * @param {string} file The path of the export file
+     * @param {string} indexName The index to store the documents in
+     * @param {Object} options The options for indexDocumentStream (maxDocs, maxBytes, concurrency, etc)
+     * @param {string} options.type The elasticsearch type of the documents (Default: the type in the export)
+     * @returns {BulkResponse} The combined results of the load
+     */
+    async importIndex(file, indexName, { type, ...streamOptions } = {}) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(file),
+            crlfDelay: Infinity
+        })[Symbol.asyncIterator]();
+
+        //Each record is an index action line followed by the document line.
+        const records = async function* () {
+            let action = null;
+            for (let line = await lines.next(); !line.done; line = await lines.next()) {
+                if (!line.value.trim()) {
+                    continue;
+                }
+
+                if (!action) {
+                    action = JSON.parse(line.value).index;
+                } else {
+                    yield { id: action._id, type: action._type, document: JSON.parse(line.value) };
+                    action = null;
+                }
+            }
+        }();
+
+        //Peek at the first record for the type.
+        const first = await records.next();
+        if (first.done) {
+            return { created: [], updated: [], errors: [] };
+        }
+
+        const idDocs = async function* () {
+            yield [ first.value.id, first.value.document ];
+            for await (const record of records) {
+                yield [ record.id, record.document ];
+            }
+        }();
+
+        return await this.indexDocumentStream(indexName, type || first.value.type, idDocs, streamOptions);
+    }
+
+    /**
+     * @typedef {Object} DeadLetter
+     * @property {string} id The id of the document
+     * @property {string} index The index the document was being stored in
+     * @property {string} type The elasticsearch type of the document (only for versions with types)
+     * @property {Object} error The elasticsearch error (in its structure)
+     * @property {Object} document The document
+     */
+
+    /**
+     * Appends failed documents to a dead letter file, one JSON object per line.
+     * @param {string} file The path of the dead letter file
+     * @param {DeadLetter[]} deadLetters The failed documents
+     */
+    async writeDeadLetters(file, deadLetters) {
+        try {
+            await fs.promises.appendFile(
+                file,
+                deadLetters.map(deadLetter => JSON.stringify(deadLetter) + '\n').join('')
+            );
+        } catch (err) {
+            this.logger.error(`Could not write ${deadLetters.length} dead letters to ${file}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Re-submits the documents in a dead letter file.  The file is rewritten with only the
+     * documents that still fail.
+     * @param {string} file The path of the dead letter file
+     * @param {string} indexName The index to store the documents in
+     * @param {Object} options The options for indexDocumentStream (maxDocs, maxBytes, requestTimeout, retry)
+     * @param {string} options.type The elasticsearch type of the documents (Default: the type in the dead letters)
+     * @returns {BulkResponse} The combined results of the replay
+     */
+    async replayDeadLetters(file, indexName, { type, ...streamOptions } = {}) {
+        let deadLetters;
+        try {
+            deadLetters = (await fs.promises.readFile(file, 'utf8'))
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line));
+        } catch (err) {
+            this.logger.error(`Could not read dead letters from ${file}`);
+            throw err;
+        }
+
+        const replayType = type || (deadLetters.length ? deadLetters[0].type : undefined);
+
+        //Collect the documents that still fail in a new file, then swap it in.
+        const stillFailingFile = `${file}.replay`;
+        await fs.promises.writeFile(stillFailingFile, '');
+
+        let res;
+        try {
+            res = await this.indexDocumentStream(
+                indexName,
+                replayType,
+                deadLetters.map(deadLetter => [ deadLetter.id, deadLetter.document ]),
+                { ...streamOptions, deadLetterFile: stillFailingFile }
+            );
+
+            await fs.promises.rename(stillFailingFile, file);
+        } finally {
+            //After a failure the original file still holds every dead letter, so the partial one goes.
+            await fs.promises.rm(stillFailingFile, { force: true });
+        }
+
+        this.logger.info(`Replayed ${deadLetters.length} dead letters from ${file}, ${res.errors.length} still failed`);
+
+        return res;
+    }
+
+
+    /**
+     * @typedef {Object} CleanupPlanItem
+     * @property {string} index The name of the index
+     * @property {Number} creationDate The creation date of the index in ms since the epoch
+     * @property {string} action What is done to the index: delete, close, readonly or snapshot
+     * @property {string} reason Why the action is taken
+     */
+
+    /**
+     * Cleans up all the old unused indices. Always at least one is kept.
+     *
+     * By default expired indices are deleted. The retentionAction can instead archive them by
+     * closing them or making them read-only (with no replicas). Archived indices are then kept
+     * until they are older than archiveDaysToKeep, when they are deleted. The snapshot action
+     * snapshots each index before deleting it.
+     * @param {string} indexPrefix The prefix for the timestamped indices. (Usually the alias name)
+     * @param {Number} daysToKeep The number of days to keep (Default: 5)
+     * @param {Number} minIndexesToKeep The minimum number of indexes, not including the aliased or archived
+     * ones, to keep no matter their age. (Default: 0)
+     * @param {Object} options
+     * @param {boolean} options.dryRun When true nothing is changed, only the plan is returned (Default: false)
+     * @param {string} options.retentionAction What to do with expired indices: delete, close, readonly
+     * or snapshot (Default: delete)
+     * @param {Number} options.archiveDaysToKeep The number of days to keep closed or read-only
+     * indices, must be at least daysToKeep (Default: 30)
+     * @param {string} options.snapshotRepository The repository for the snapshot action
+     * @returns {CleanupPlanItem[]} The indices that were (or would be) cleaned up
+     */
+    async cleanupOldIndices(
+        indexPrefix,
+        daysToKeep = 5,
+        minIndexesToKeep = 0,
+        { dryRun = false, retentionAction = 'delete', archiveDaysToKeep = 30, snapshotRepository } = {}
+    ) {
+        if (!RETENTION_ACTIONS.includes(retentionAction)) {
+            throw new Error(`Unknown retention action ${retentionAction}, it must be one of ${RETENTION_ACTIONS.join(', ')}`);
+        }
+
+        if (retentionAction === 'snapshot' && !snapshotRepository) {
+            throw new Error(`The snapshot retention action requires a snapshotRepository`);
+        }
+
+        const archiving = ['close', 'readonly'].includes(retentionAction);
+
+        if (archiving && archiveDaysToKeep < daysToKeep) {
+            throw new Error(`archiveDaysToKeep (${archiveDaysToKeep}) cannot be less than daysToKeep (${daysToKeep})`);
+        }
+
+        //Setup time for the old date.
+        const olderThanDate = moment().subtract(daysToKeep, 'days').startOf('day').valueOf();
+        const archiveOlderThanDate = moment().subtract(archiveDaysToKeep, 'days').startOf('day').valueOf();
+
+        //Get all the indices, newest first, and find the ones older than our cutoff.
+        const indices = await this.getIndicesByAge(indexPrefix);
+        const oldIndices = indices.filter(idx => getIndexTime(idx) < olderThanDate);
+
+        //If there are no indices, then move on. No sense calling more services
         if (oldIndices.length === 0) {
-            return;
+            return [];
         }
 
         //Get all the indices for our alias
         const aliasedIndices = await this.getIndicesForAlias(indexPrefix);
 
+        //Indices archived by an earlier cleanup cannot be rolled back to.
+        const archivedIndices = (archiving || minIndexesToKeep > 0) ? await this.getArchivedIndices(indexPrefix) : [];
+
+        //When archiving, the archived indices have their own age limit.
+        const isArchived = idx => archiving && archivedIndices.includes(idx.name);
+
+        //Always keep the newest unaliased indices as rollback candidates.
+        const newestToKeep = indices
+            .filter(idx => !aliasedIndices.includes(idx.name) && !archivedIndices.includes(idx.name))
+            .slice(0, minIndexesToKeep)
+            .map(idx => idx.name);
+
         //Since we should not removed indices that our currently used by the alias,
         //remove them from the list.
-        const indicesToDelete = oldIndices.filter((idx) => !aliasedIndices.includes(idx));
-        
-        //Now remove them.
-        if (indicesToDelete) {
-            await Promise.all(
-                indicesToDelete.map(
-                    async (name) => {
-                        await this.deleteIndex(name);
+        const plan = oldIndices
+            .filter(idx => !aliasedIndices.includes(idx.name) && !newestToKeep.includes(idx.name))
+            .filter(idx => !isArchived(idx) || getIndexTime(idx) < archiveOlderThanDate)
+            .map(idx => {
+                const created = moment(getIndexTime(idx)).toISOString();
+
+                if (isArchived(idx)) {
+                    return {
+                        index: idx.name,
+                        creationDate: idx.creationDate,
+                        action: 'delete',
+                        reason: `Archived, created ${created}, more than ${archiveDaysToKeep} days ago`
+                    };
+                }
+
+                return {
+                    index: idx.name,
+                    creationDate: idx.creationDate,
+                    action: retentionAction,
+                    reason: `Created ${created}, more than ${daysToKeep} days ago, ` +
+                        `is not aliased by ${indexPrefix} and is not one of the ${minIndexesToKeep} newest unaliased indices`
+                };
+            });
+
+        if (dryRun) {
+            plan.forEach(item => this.logger.info(`Would ${item.action} index ${item.index}: ${item.reason}`));
+            return plan;
+        }
+
+        if (retentionAction === 'snapshot') {
+            //Only one snapshot can run at a time on older clusters.
+            for (const item of plan) {
+                await this.snapshotIndex(snapshotRepository, item.index, { snapshotName: item.index });
+                await this.deleteIndex(item.index);
+            }
+
+            return plan;
+        }
+
+        //Now clean them up.
+        await Promise.all(
+            plan.map(
+                async (item) => {
+                    switch (item.action) {
+                        case 'close':
+                            await this.closeIndex(item.index);
+                            break;
+                        case 'readonly':
+                            await this.updateIndexSettings(item.index, {
+                                'blocks.write': true,
+                                number_of_replicas: 0
+                            });
+                            break;
+                        default:
+                            await this.deleteIndex(item.index);
                     }
-                )
-            );
+                }
+            )
+        );
+
+        return plan;
+    }
+
+    /**
+     * Gets the indices matching a prefix that have been archived, i.e. closed or made read-only.
+     * @param {string} indexPrefix The prefix for the timestamped indices
+     * @returns {string[]} The names of the archived indices
+     */
+    async getArchivedIndices(indexPrefix) {
+        let statuses;
+        let blocks;
+
+        try {
+            statuses = await this.adapter.call('cat.indices', {
+                index: `${indexPrefix}*`,
+                format: 'json',
+                h: 'index,status'
+            });
+
+            blocks = await this.adapter.call('indices.getSettings', {
+                index: `${indexPrefix}*`,
+                name: 'index.blocks.write'
+            });
+        } catch (err) {
+            this.logger.error(`Could not get the archived indices for pattern ${indexPrefix}*`);
+            throw err;
+        }
+
+        const closed = statuses
+            .filter(idx => idx.status === 'close')
+            .map(idx => idx.index);
+
+        const readOnly = Object.keys(blocks)
+            .filter(idx => {
+                const indexSettings = blocks[idx].settings.index || {};
+                return String((indexSettings.blocks || {}).write) === 'true';
+            });
+
+        return [ ...new Set([ ...closed, ...readOnly ]) ];
+    }
+
+    /**
+     * Registers (or updates) a snapshot repository.
+     * @param {string} repository The name of the repository
+     * @param {Object} settings The repository settings, e.g. { location: '/mnt/backups' } for a shared
+     * filesystem repository. The location must be listed in path.repo on every node.
+     * @param {Object} options
+     * @param {string} options.type The repository type (Default: fs)
+     */
+    async registerSnapshotRepository(repository, settings, { type = 'fs' } = {}) {
+        try {
+            await this.adapter.call('snapshot.createRepository', {
+                repository,
+                body: {
+                    type,
+                    settings
+                }
+            });
+        } catch (err) {
+            this.logger.error(`Could not register snapshot repository ${repository}. ${err.message}`);
+            throw err;
         }
     }
 
+    /**
+     * @typedef {Object} SnapshotInfo
+     * @property {string} snapshot The name of the snapshot
+     * @property {string[]} indices The indices in the snapshot
+     * @property {string} state The state of the snapshot, e.g. SUCCESS, IN_PROGRESS, PARTIAL or FAILED
+     * @property {Number} startTime The time the snapshot started in ms since the epoch
+     * @property {Number} endTime The time the snapshot finished in ms since the epoch
+     */
+
+    /**
+     * Takes a snapshot of an index, or of the indices behind an alias, e.g. before a risky alias swap.
+     * @param {string} repository The name of the repository
+     * @param {string} indexOrAlias The index or alias to snapshot
+     * @param {Object} options
+     * @param {string} options.snapshotName The name of the snapshot (Default: <indexOrAlias>_<timestamp>)
+     * @param {boolean} options.waitForCompletion Wait for the snapshot to finish (Default: true)
+     * @param {Number} options.requestTimeout The request timeout in ms when waiting (Default: 1 hour)
+     * @returns {SnapshotInfo} The snapshot
+     */
+    async snapshotIndex(
+        repository,
+        indexOrAlias,
+        { snapshotName, waitForCompletion = true, requestTimeout = 60 * 60 * 1000 } = {}
+    ) {
+        const aliasIndices = await this.getIndicesForAlias(indexOrAlias);
+        const indices = aliasIndices.length ? aliasIndices : [ indexOrAlias ];
+        const snapshot = snapshotName || this.naming.format(indexOrAlias, new Date()).toLowerCase();
+
+        let res;
+
+        try {
+            res = await this.adapter.call('snapshot.create', {
+                repository,
+                snapshot,
+                wait_for_completion: waitForCompletion,
+                body: {
+                    indices: indices.join(','),
+                    include_global_state: false
+                }
+            }, {
+                requestTimeout
+            });
+        } catch (err) {
+            this.logger.error(`Could not snapshot ${indexOrAlias} to ${repository}/${snapshot}. ${err.message}`);
+            throw err;
+        }
+
+        //Without waiting the response is just { accepted: true }
+        const info = res.snapshot ? toSnapshotInfo(res.snapshot) : { snapshot, indices, state: 'IN_PROGRESS' };
+
+        if (waitForCompletion && info.state !== 'SUCCESS') {
+            const message = `Snapshot ${repository}/${snapshot} of ${indexOrAlias} finished with state ${info.state}`;
+            this.logger.error(message);
+            throw new Error(message);
+        }
+
+        return info;
+    }
+
+    /**
+     * Lists the snapshots in a repository, newest first.
+     * @param {string} repository The name of the repository
+     * @returns {SnapshotInfo[]} The snapshots
+     */
+    async listSnapshots(repository) {
+        let res;
+
+        try {
+            res = await this.adapter.call('snapshot.get', {
+                repository,
+                snapshot: '_all'
+            });
+        } catch (err) {
+            this.logger.error(`Could not list the snapshots in ${repository}`);
+            throw err;
+        }
+
+        return res.snapshots
+            .map(toSnapshotInfo)
+            .sort((a, b) => b.startTime - a.startTime);
+    }
+
+    /**
+     * Restores the indices in a snapshot under new names, so the live indices are not touched.
+     * @param {string} repository The name of the repository
+     * @param {string} snapshot The name of the snapshot
+     * @param {Object} options
+     * @param {(string|string[])} options.indices The indices to restore (Default: all of the indices in the snapshot)
+     * @param {string} options.renamePattern A regular expression matching the index names (Default: (.+))
+     * @param {string} options.renameReplacement The replacement for the new names (Default: restored_$1)
+     * @param {boolean} options.waitForCompletion Wait for the restore to finish (Default: true)
+     * @param {Number} options.requestTimeout The request timeout in ms when waiting (Default: 1 hour)
+     * @returns {string[]} The names of the restored indices (if waiting for completion)
+     */
+    async restoreSnapshot(
+        repository,
+        snapshot,
+        {
+            indices,
+            renamePattern = '(.+)',
+            renameReplacement = 'restored_$1',
+            waitForCompletion = true,
+            requestTimeout = 60 * 60 * 1000
+        } = {}
+    ) {
+        let res;
+
+        try {
+            res = await this.adapter.call('snapshot.restore', {
+                repository,
+                snapshot,
+                wait_for_completion: waitForCompletion,
+                body: {
+                    ...(indices ? { indices: [].concat(indices).join(',') } : {}),
+                    rename_pattern: renamePattern,
+                    rename_replacement: renameReplacement,
+                    include_global_state: false
+                }
+            }, {
+                requestTimeout
+            });
+        } catch (err) {
+            this.logger.error(`Could not restore snapshot ${repository}/${snapshot}. ${err.message}`);
+            throw err;
+        }
+
+        return res.snapshot ? res.snapshot.indices : [];
+    }
+
+    /**
+     * Deletes the snapshots in a repository that are older than a number of days.
+     * @param {string} repository The name of the repository
+     * @param {Number} daysToKeep The number of days to keep (Default: 30)
+     * @param {Object} options
+     * @param {string} options.prefix Only delete snapshots whose name starts with this, e.g. the alias name
+     * @param {boolean} options.dryRun When true nothing is deleted, only the snapshots are returned (Default: false)
+     * @returns {SnapshotInfo[]} The snapshots that were (or would be) deleted
+     */
+    async cleanupOldSnapshots(repository, daysToKeep = 30, { prefix = '', dryRun = false } = {}) {
+        const olderThanDate = moment().subtract(daysToKeep, 'days').startOf('day').valueOf();
+
+        const snapshots = (await this.listSnapshots(repository))
+            .filter(info => info.snapshot.startsWith(prefix) && info.startTime < olderThanDate);
+
+        if (dryRun) {
+            snapshots.forEach(info => this.logger.info(
+                `Would delete snapshot ${repository}/${info.snapshot}, taken ${moment(info.startTime).toISOString()}`
+            ));
+            return snapshots;
+        }
+
+        //Only one snapshot can be deleted at a time on older clusters.
+        for (const info of snapshots) {
+            try {
+                await this.adapter.call('snapshot.delete', {
+                    repository,
+                    snapshot: info.snapshot
+                });
+            } catch (err) {
+                this.logger.error(`Could not delete snapshot ${repository}/${info.snapshot}`);
+                throw err;
+            }
+        }
+
+        return snapshots;
+    }
+
+    /**
+     * Runs a load against an index with load-optimized settings (no refreshes and no replicas), then
+     * restores the refresh interval and replicas from the original settings.  The settings are restored
+     * even when the load throws. Settings not found in the original settings are reset to the defaults.
+     * @param {string} indexName The name of the index being loaded
+     * @param {Object} settings the index settings the index was created with (shards, replicas, analyzers, etc)
+     * @param {Function} loadFn An async function that performs the load, it is passed the index name
+     * @returns {*} The result of loadFn
+     */
+    async withBulkLoadSettings(indexName, settings, loadFn) {
+        await this.updateIndexSettings(indexName, {
+            refresh_interval: '-1',
+            number_of_replicas: 0
+        });
+
+        let result;
+        try {
+            result = await loadFn(indexName);
+        } catch (err) {
+            try {
+                await this.restoreLoadSettings(indexName, settings);
+            } catch (restoreErr) {
+                //The index is left with the load settings, which is less important than why the load failed.
+            }
+            throw err;
+        }
+
+        await this.restoreLoadSettings(indexName, settings);
+
+        return result;
+    }
+
+    /**
+     * Restores the settings changed by withBulkLoadSettings.
+     * @param {string} indexName The name of the index being loaded
+     * @param {Object} settings the index settings the index was created with
+     */
+    async restoreLoadSettings(indexName, settings) {
+        //A null setting resets it to the default.
+        await this.updateIndexSettings(indexName, {
+            refresh_interval: getIndexSetting(settings, 'refresh_interval'),
+            number_of_replicas: getIndexSetting(settings, 'number_of_replicas')
+        });
+    }
+
+    /**
+     * Updates the dynamic settings of an index.
+     * @param {string} indexName The name of the index to update
+     * @param {Object} indexSettings The settings to change, e.g. { refresh_interval: '1s' }
+     */
+    async updateIndexSettings(indexName, indexSettings) {
+        try {
+            await this.adapter.call('indices.putSettings', {
+                index: indexName,
+                body: {
+                    index: indexSettings
+                }
+            });
+        } catch (err) {
+            this.logger.error(`Could not update settings for index ${indexName}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Closes an index.
+     * @param {string} indexName The name of the index to close
+     */
+    async closeIndex(indexName) {
+        try {
+            await this.adapter.call('indices.close', {
+                index: indexName
+            });
+        } catch (err) {
+            this.logger.error(`Could not close index ${indexName}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Opens a closed index.
+     * @param {string} indexName The name of the index to open
+     */
+    async openIndex(indexName) {
+        try {
+            await this.adapter.call('indices.open', {
+                index: indexName
+            });
+        } catch (err) {
+            this.logger.error(`Could not open index ${indexName}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Updates the analysis settings (analyzers, filters, synonyms, etc) of an index, or of the
+     * indices behind an alias.  Analysis settings can only be changed on a closed index, so
+     * each index is closed, updated, reopened and then waited on until it is healthy.  If any
+     * of that fails the previous analysis settings are restored and the index is reopened, for
+     * the failed index and every index behind the alias that was already updated, so the indices
+     * never analyze differently.  Restoring puts back the previous definitions of the analysis
+     * components, but components the update added (e.g. a new filter) are left in place, unused.
+     *
+     * NOTE: Searches against the index will fail while it is closed.  Existing documents are
+     * not reanalyzed, so changes to index time analyzers only apply to new documents.
+     * @param {string} indexOrAlias The index or alias to update
+     * @param {Object} analysisSettings The new analysis settings, e.g. { filter: {...}, analyzer: {...} }
+     * @param {Object} options
+     * @param {string} options.waitForStatus The health to wait for after reopening, yellow or green (Default: yellow)
+     * @param {Number} options.healthTimeout The time in ms to wait for the health (Default: 30000)
+     */
+    async updateAnalysisSettings(indexOrAlias, analysisSettings, { waitForStatus = 'yellow', healthTimeout = 30000 } = {}) {
+        const aliasIndices = await this.getIndicesForAlias(indexOrAlias);
+        const indices = aliasIndices.length ? aliasIndices : [ indexOrAlias ];
+
+        //The indices already updated, and their previous analysis settings.
+        const updated = [];
+
+        for (const indexName of indices) {
+            let res;
+
+            try {
+                res = await this.adapter.call('indices.getSettings', {
+                    index: indexName
+                });
+            } catch (err) {
+                this.logger.error(`Could not get the settings for index ${indexName}`);
+                await this.rollbackAnalysisSettings(updated);
+                throw err;
+            }
+
+            const previous = ((res[indexName].settings.index || {}).analysis) || {};
+
+            try {
+                await this.closeIndex(indexName);
+                await this.updateIndexSettings(indexName, { analysis: analysisSettings });
+                await this.openIndex(indexName);
+                await this.waitForIndexHealth(indexName, waitForStatus, healthTimeout);
+            } catch (err) {
+                this.logger.error(`Could not update the analysis settings of ${indexName}, restoring the previous settings`);
+                await this.rollbackAnalysisSettings([ ...updated, { indexName, previous } ]);
+                throw err;
+            }
+
+            updated.push({ indexName, previous });
+            this.logger.info(`Updated the analysis settings of ${indexName}`);
+        }
+    }
+
+    /**
+     * Restores the previous analysis settings of indices after a failed updateAnalysisSettings.
+     * @param {Object[]} updated The indices and their previous settings, as [{ indexName, previous }]
+     */
+    async rollbackAnalysisSettings(updated) {
+        for (const { indexName, previous } of updated) {
+            await this.restoreAnalysisSettings(indexName, previous);
+        }
+    }
+
+    /**
+     * Puts back the analysis settings of an index after a failed update, and makes sure the
+     * index is open again.  Errors are logged rather than thrown, so the original error is kept.
+     * @param {string} indexName The name of the index
+     * @param {Object} analysisSettings The analysis settings to restore
+     */
+    async restoreAnalysisSettings(indexName, analysisSettings) {
+        try {
+            //The update may have failed after the index was opened.
+            await this.closeIndex(indexName);
+            await this.updateIndexSettings(indexName, { analysis: analysisSettings });
+        } catch (err) {
+            this.logger.error(`Could not restore the analysis settings of ${indexName}. ${err.message}`);
+        }
+
+        try {
+            await this.openIndex(indexName);
+        } catch (err) {
+            this.logger.error(`Could not reopen ${indexName}, it must be opened by hand. ${err.message}`);
+        }
+    }
+
+    /**
+     * Compares a local mapping definition with the live mapping of an index.  When an alias
+     * points to more than one index the newest index (by name) is compared.
+     * @param {string} indexOrAlias The index or alias to compare against
+     * @param {Object} mapping The local mapping, in the format passed to createIndex
+     * @returns {MappingDiff} The added, removed and changed fields, classified as compatible
+     * (can be applied with put-mapping) or breaking (requires a new index)
+     */
+    async diffMappings(indexOrAlias, mapping) {
+        const { mappings } = await this.getIndexMapping(indexOrAlias);
+        return compareMappings(mappings, mapping);
+    }
+
+    /**
+     * Gets the live mapping of an index.  When an alias points to more than one index the
+     * mapping of the newest index (by name) is returned.
+     * @param {string} indexOrAlias The index or alias
+     * @returns {Object} The name of the index and its mappings, as { indexName, mappings }
+     */
+    async getIndexMapping(indexOrAlias) {
+        let res;
+
+        try {
+            res = await this.adapter.call('indices.getMapping', {
+                index: indexOrAlias
+            });
+        } catch (err) {
+            this.logger.error(`Could not get the mapping for ${indexOrAlias}`);
+            throw err;
+        }
+
+        const indices = Object.keys(res).sort().reverse();
+        if (!indices.length) {
+            throw new Error(`No indices found for ${indexOrAlias}`);
+        }
+
+        return {
+            indexName: indices[0],
+            mappings: res[indices[0]].mappings
+        };
+    }
+
+    /**
+     * @typedef {Object} MappingChangeResult
+     * @property {string[]} indices The indices behind the alias that were updated
+     * @property {string[]} added The fields that were added
+     */
+
+    /**
+     * Applies a mapping change to the indices behind an alias with put-mapping, when every change
+     * is compatible (e.g. new fields).  Breaking changes are refused, they require a new index.
+     * @param {string} aliasName The alias whose indices should be updated
+     * @param {Object} mapping The new mapping, in the format passed to createIndex
+     * @returns {MappingChangeResult} The indices and the fields that were added
+     */
+    async applyMappingChange(aliasName, mapping) {
+        const indices = await this.getIndicesForAlias(aliasName);
+
+        if (!indices.length) {
+            throw new Error(`Cannot apply the mapping change, alias ${aliasName} does not point to any indices`);
+        }
+
+        const usesTypes = await this.adapter.usesTypes();
+
+        const diffs = [];
+        const types = {};
+        for (const indexName of indices) {
+            const { mappings } = await this.getIndexMapping(indexName);
+            diffs.push(compareMappings(mappings, mapping));
+
+            //Put the mapping into the type the index already has, whatever the local type is called.
+            if (usesTypes) {
+                types[indexName] = getMappingType(mappings) || getMappingType(mapping);
+                if (!types[indexName]) {
+                    throw new Error(`Cannot apply the mapping change to ${indexName}, it has no mapping type and the mapping has none`);
+                }
+            }
+        }
+
+        const breakingFields = [ ...new Set(diffs.flatMap(diff => diff.breakingFields)) ];
+        if (breakingFields.length) {
+            const message = `Cannot apply the mapping change to ${aliasName}, there are breaking changes to: ${breakingFields.join(', ')}`;
+            this.logger.error(message);
+            const err = new Error(message);
+            err.breakingFields = breakingFields;
+            throw err;
+        }
+
+        const added = [ ...new Set(diffs.flatMap(diff => diff.added.map(change => change.field))) ];
+        const hasChanges = diffs.some(diff =>
+            diff.added.length || diff.changedAnalyzers.length || diff.changedParameters.length
+        );
+
+        if (!hasChanges) {
+            this.logger.info(`The mapping for ${aliasName} is unchanged`);
+            return { indices, added };
+        }
+
+        const body = getTypelessMapping(mapping);
+
+        for (const indexName of indices) {
+            try {
+                await this.adapter.call('indices.putMapping', {
+                    index: indexName,
+                    ...(usesTypes ? { type: types[indexName] } : {}),
+                    body
+                });
+            } catch (err) {
+                this.logger.error(`Could not update the mapping for ${indexName}. ${err.message}`);
+                throw err;
+            }
+        }
+
+        return { indices, added };
+    }
+
+    /**
+     * Creates or updates an index template.  On Elasticsearch 7.8+ (and OpenSearch) this is a
+     * composable index template, which can be composed of component templates, otherwise it is
+     * a legacy template.
+     * @param {string} name The name of the template
+     * @param {(string|string[])} indexPatterns The index patterns the template applies to, e.g. bryantestidx_*
+     * @param {Object} mapping The index mapping, in the format passed to createIndex
+     * @param {Object} settings The index settings, in the format passed to createIndex
+     * @param {Object} options
+     * @param {string[]} options.composedOf The component templates to use, in order (7.8+ only)
+     * @param {Number} options.priority The priority of the template (the order for legacy templates)
+     */
+    async putIndexTemplate(name, indexPatterns, mapping, settings, { composedOf = [], priority } = {}) {
+        const patterns = [].concat(indexPatterns);
+        const { mappings } = (await this.adapter.toVersionedMapping(mapping)) || {};
+        const composable = await this.adapter.isAtLeast(7, 8);
+
+        let body;
+
+        if (composable) {
+            body = {
+                index_patterns: patterns,
+                template: {
+                    ...settings,
+                    ...(mappings ? { mappings } : {})
+                },
+                composed_of: composedOf,
+                ...(priority !== undefined ? { priority } : {})
+            };
+        } else {
+            if (composedOf.length) {
+                throw new Error(`Cannot use component templates for ${name}, they require Elasticsearch 7.8 or later`);
+            }
+
+            if (patterns.length > 1 && !(await this.adapter.isAtLeast(6))) {
+                throw new Error(`Cannot use more than one index pattern for ${name} before Elasticsearch 6`);
+            }
+
+            body = {
+                ...((await this.adapter.isAtLeast(6)) ? { index_patterns: patterns } : { template: patterns[0] }),
+                ...settings,
+                ...(mappings ? { mappings } : {}),
+                ...(priority !== undefined ? { order: priority } : {})
+            };
+        }
+
+        try {
+            await this.adapter.call(composable ? 'indices.putIndexTemplate' : 'indices.putTemplate', {
+                name,
+                body
+            });
+        } catch (err) {
+            this.logger.error(`Could not put index template ${name}. ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Gets an index template.
+     * @param {string} name The name of the template
+     * @returns {IndexTemplate} The template, or null if it does not exist
+     */
+    async getIndexTemplate(name) {
+        const composable = await this.adapter.isAtLeast(7, 8);
+
+        let res;
+
+        try {
+            res = await this.adapter.call(composable ? 'indices.getIndexTemplate' : 'indices.getTemplate', {
+                name
+            });
+        } catch (err) {
+            if (getErrorStatus(err) == 404) {
+                return null;
+            }
+
+            this.logger.error(`Could not get index template ${name}`);
+            throw err;
+        }
+
+        if (composable) {
+            const found = (res.index_templates || []).find(template => template.name === name);
+            return found ? toIndexTemplate(name, found.index_template) : null;
+        }
+
+        return res[name] ? toIndexTemplate(name, res[name]) : null;
+    }
+
+    /**
+     * Compares a local mapping definition with the mapping of an index template.  For composable
+     * templates this is the mapping of the template itself, not of its component templates.
+     * @param {string} name The name of the template
+     * @param {Object} mapping The local mapping, in the format passed to createIndex
+     * @returns {MappingDiff} The differences, see diffMappings
+     */
+    async diffIndexTemplate(name, mapping) {
+        const template = await this.getIndexTemplate(name);
+
+        if (!template) {
+            throw new Error(`Index template ${name} does not exist`);
+        }
+
+        return compareMappings(template.mappings, mapping);
+    }
+
+    /**
+     * Deletes an index template.
+     * @param {string} name The name of the template
+     */
+    async deleteIndexTemplate(name) {
+        const composable = await this.adapter.isAtLeast(7, 8);
+
+        try {
+            await this.adapter.call(composable ? 'indices.deleteIndexTemplate' : 'indices.deleteTemplate', {
+                name
+            });
+        } catch (err) {
+            this.logger.error(`Could not delete index template ${name}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Creates or updates a component template, for use by index templates. (7.8+ only)
+     * @param {string} name The name of the template
+     * @param {Object} mapping The index mapping, in the format passed to createIndex
+     * @param {Object} settings The index settings, in the format passed to createIndex
+     */
+    async putComponentTemplate(name, mapping, settings) {
+        await this.checkComponentTemplateSupport(name);
+
+        const { mappings } = (await this.adapter.toVersionedMapping(mapping)) || {};
+
+        try {
+            await this.adapter.call('cluster.putComponentTemplate', {
+                name,
+                body: {
+                    template: {
+                        ...settings,
+                        ...(mappings ? { mappings } : {})
+                    }
+                }
+            });
+        } catch (err) {
+            this.logger.error(`Could not put component template ${name}. ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Gets a component template. (7.8+ only)
+     * @param {string} name The name of the template
+     * @returns {IndexTemplate} The template, or null if it does not exist
+     */
+    async getComponentTemplate(name) {
+        await this.checkComponentTemplateSupport(name);
+
+        let res;
+
+        try {
+            res = await this.adapter.call('cluster.getComponentTemplate', {
+                name
+            });
+        } catch (err) {
+            if (getErrorStatus(err) == 404) {
+                return null;
+            }
+
+            this.logger.error(`Could not get component template ${name}`);
+            throw err;
+        }
+
+        const found = (res.component_templates || []).find(template => template.name === name);
+        return found ? toIndexTemplate(name, found.component_template) : null;
+    }
+
+    /**
+     * Compares a local mapping definition with the mapping of a component template. (7.8+ only)
+     * @param {string} name The name of the template
+     * @param {Object} mapping The local mapping, in the format passed to createIndex
+     * @returns {MappingDiff} The differences, see diffMappings
+     */
+    async diffComponentTemplate(name, mapping) {
+        const template = await this.getComponentTemplate(name);
+
+        if (!template) {
+            throw new Error(`Component template ${name} does not exist`);
+        }
+
+        return compareMappings(template.mappings, mapping);
+    }
+
+    /**
+     * Deletes a component template. (7.8+ only)
+     * @param {string} name The name of the template
+     */
+    async deleteComponentTemplate(name) {
+        await this.checkComponentTemplateSupport(name);
+
+        try {
+            await this.adapter.call('cluster.deleteComponentTemplate', {
+                name
+            });
+        } catch (err) {
+            this.logger.error(`Could not delete component template ${name}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Throws if the cluster does not support component templates.
+     * @param {string} name The name of the template, for the error message
+     */
+    async checkComponentTemplateSupport(name) {
+        if (!(await this.adapter.isAtLeast(7, 8))) {
+            throw new Error(`Cannot use component template ${name}, component templates require Elasticsearch 7.8 or later`);
+        }
+    }
+
+    /**
+     * Creates or updates an ingest pipeline.
+     * @param {string} id The id of the pipeline
+     * @param {Object} pipeline The pipeline definition, e.g. { description, processors: [...] }
+     */
+    async putPipeline(id, pipeline) {
+        try {
+            await this.adapter.call('ingest.putPipeline', {
+                id,
+                body: pipeline
+            });
+        } catch (err) {
+            this.logger.error(`Could not put ingest pipeline ${id}. ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Gets an ingest pipeline.
+     * @param {string} id The id of the pipeline
+     * @returns {Object} The pipeline definition, or null if it does not exist
+     */
+    async getPipeline(id) {
+        let res;
+
+        try {
+            res = await this.adapter.call('ingest.getPipeline', {
+                id
+            });
+        } catch (err) {
+            if (getErrorStatus(err) == 404) {
+                return null;
+            }
+
+            this.logger.error(`Could not get ingest pipeline ${id}`);
+            throw err;
+        }
+
+        return res[id] || null;
+    }
+
+    /**
+     * @typedef {Object} SimulatedDocument
+     * @property {Object} document The document after it went through the pipeline
+     * @property {Object} error The elasticsearch error, if the pipeline failed for the document
+     */
+
+    /**
+     * Runs sample documents through an ingest pipeline without indexing them.
+     * @param {(string|Object)} pipeline The id of a stored pipeline, or a pipeline definition to test
+     * @param {Object[]} documents The sample documents
+     * @returns {SimulatedDocument[]} The result for each document, in the same order
+     */
+    async simulatePipeline(pipeline, documents) {
+        const isStored = typeof pipeline === 'string';
+
+        let res;
+
+        try {
+            res = await this.adapter.call('ingest.simulate', {
+                ...(isStored ? { id: pipeline } : {}),
+                body: {
+                    ...(isStored ? {} : { pipeline }),
+                    docs: documents.map(document => ({ _source: document }))
+                }
+            });
+        } catch (err) {
+            this.logger.error(`Could not simulate ${isStored ? `ingest pipeline ${pipeline}` : 'the ingest pipeline'}. ${err.message}`);
+            throw err;
+        }
+
+        return res.docs.map(result => (
+            result.error ? { error: result.error } : { document: result.doc._source }
+        ));
+    }
+
+    /**
+     * Acquires a lease-based lock on an alias, so that only one loader works on the alias at a time.
+     * The lock is a document, keyed on the alias name, in a small metadata index.  The lease is renewed
+     * by a heartbeat until it is released.  A lock whose lease has expired (e.g. the loader died) is
+     * taken over.
+     * @param {string} aliasName The alias to lock
+     * @param {Object} options
+     * @param {Number} options.ttl The time in ms before the lock expires without a heartbeat (Default: 5 minutes)
+     * @param {Number} options.heartbeatInterval The time in ms between renewals (Default: a third of the ttl)
+     * @param {string} options.owner Identifies the owner of the lock (Default: <hostname>:<pid>)
+     * @param {string} options.lockIndex The index to store locks in (Default: elastic-tools-locks)
+     * @returns {AliasLock} The lock, call release() on it when done
+     */
+    async acquireAliasLock(
+        aliasName,
+        {
+            ttl = 5 * 60 * 1000,
+            heartbeatInterval = Math.floor(ttl / 3),
+            owner = `${os.hostname()}:${process.pid}`,
+            lockIndex = 'elastic-tools-locks'
+        } = {}
+    ) {
+        const docParams = {
+            index: lockIndex,
+            ...((await this.adapter.usesTypes()) ? { type: 'lock' } : {}),
+            id: aliasName
+        };
+
+        const now = Date.now();
+        const body = lockDocument(owner, now, now + ttl);
+
+        let res;
+        try {
+            res = await this.adapter.call('create', { ...docParams, body });
+        } catch (err) {
+            if (getErrorStatus(err) !== 409) {
+                this.logger.error(`Could not acquire the lock on alias ${aliasName}`);
+                throw err;
+            }
+
+            //Somebody has (or had) the lock, see if their lease has expired.
+            const existing = await this.adapter.call('get', docParams);
+            if (existing._source.expires_at > now) {
+                throw new Error(
+                    `Alias ${aliasName} is locked by ${existing._source.owner} until ` +
+                    `${moment(existing._source.expires_at).toISOString()}`
+                );
+            }
+
+            this.logger.warn(`Taking over the expired lock on alias ${aliasName} from ${existing._source.owner}`);
+            try {
+                res = await this.adapter.call('index', {
+                    ...docParams,
+                    ...(await this.adapter.getConcurrencyParams(existing)),
+                    body
+                });
+            } catch (takeoverErr) {
+                if (getErrorStatus(takeoverErr) === 409) {
+                    throw new Error(`Alias ${aliasName} was locked by another owner while taking over the expired lock`);
+                }
+                this.logger.error(`Could not acquire the lock on alias ${aliasName}`);
+                throw takeoverErr;
+            }
+        }
+
+        const lock = new AliasLock(this.logger, this.adapter, {
+            aliasName,
+            owner,
+            lockIndex,
+            docParams,
+            ttl,
+            acquiredAt: now,
+            concurrency: await this.adapter.getConcurrencyParams(res)
+        });
+        lock.startHeartbeat(heartbeatInterval);
+
+        this.logger.info(`Acquired the lock on alias ${aliasName} for ${owner}`);
+
+        return lock;
+    }
+
+    /**
+     * Runs a function while holding the lock on an alias. The lock is released even when
+     * the function throws.
+     * @param {string} aliasName The alias to lock
+     * @param {Function} fn An async function to run while holding the lock, it is passed the lock
+     * @param {Object} options The options for acquireAliasLock
+     * @returns {*} The result of fn
+     */
+    async withAliasLock(aliasName, fn, options = {}) {
+        const lock = await this.acquireAliasLock(aliasName, options);
+
+        let result;
+        try {
+            result = await fn(lock);
+        } catch (err) {
+            try {
+                await lock.release();
+            } catch (releaseErr) {
+                //A lock that could not be released expires on its own once the heartbeat stops.
+            }
+            throw err;
+        }
+
+        await lock.release();
+
+        return result;
+    }
+
+    /**
+     * @typedef {Object} LoadStageReport
+     * @property {string} status One of 'pending', 'completed', 'failed' or 'skipped'
+     * @property {string} [error] The error message when the stage failed
+     */
+
+    /**
+     * @typedef {Object} AliasedLoadReport
+     * @property {boolean} success Whether the alias now points to the new index
+     * @property {string} indexName The name of the timestamped index that was created (if any)
+     * @property {Object} stages The report for each stage of the load
+     * @property {LoadStageReport} stages.create
+     * @property {LoadStageReport} stages.index Also contains batches, created, updated and errors
+     * @property {LoadStageReport} stages.optimize
+     * @property {LoadStageReport} stages.alias
+     * @property {LoadStageReport} stages.cleanup
+     */
+
+    /**
+     * Runs a full blue/green load for an alias. This creates a timestamped index, indexes
+     * all of the documents, optimizes the index, points the alias at the new index and
+     * finally cleans up the old indices.
+     *
+     * If any step before the alias swap fails the new index is deleted, the alias is left
+     * alone and the error is rethrown with the report attached as err.loadReport.  A failed
+     * cleanup is logged and reported, but does not fail the load since the alias has
+     * already been swapped.
+     * @param {string} aliasName The alias name, also used as the index name prefix
+     * @param {Object} mappings the index mapping (fields, types, etc)
+     * @param {Object} settings the index settings (shards, replicas, analyzers, etc)
+     * @param {(Iterable|AsyncIterable)} documentSource A (async) iterable of id/document pair
+     * arrays. Each item is sent as one call to indexDocumentBulk. e.g. [ [[1, {}], [2, {}]], [[3, {}]] ]
+     * @param {Object} options
+     * @param {string} options.type The elasticsearch type of the documents
+     * @param {string} options.waitForStatus When set, wait for the new index to reach this health before loading
+     * @param {Number} options.healthTimeout The time in ms to wait for the health (Default: 30000)
+     * @param {SwapGuards} options.swapGuards Checks that must pass before the alias is swapped
+     * @param {boolean} options.bulkLoadSettings Disable refresh and replicas while loading and optimizing,
+     * see withBulkLoadSettings (Default: false)
+     * @param {Number} options.maxDocumentErrors The number of document errors allowed before the load fails (Default: 0)
+     * @param {(boolean|Object)} options.optimize Should the index be optimized before the swap, or the
+     * options to pass to optimizeIndex (Default: true)
+     * @param {boolean} options.cleanup Should old indices be cleaned up after the swap (Default: true)
+     * @param {Number} options.daysToKeep The number of days to keep for cleanup (Default: 5)
+     * @param {Number} options.minIndexesToKeep The minimum number of indexes to keep for cleanup (Default: 0)
+     * @param {string} options.pipeline The ingest pipeline to run the documents through
+     * @returns {AliasedLoadReport} The report of the load
+     */
+    async runAliasedLoad(
+        aliasName,
+        mappings,
+        settings,
+        documentSource,
+        {
+            type,
+            waitForStatus,
+            healthTimeout = 30000,
+            swapGuards = {},
+            bulkLoadSettings = false,
+            maxDocumentErrors = 0,
+            optimize = true,
+            cleanup = true,
+            daysToKeep = 5,
+            minIndexesToKeep = 0,
+            pipeline
+        } = {}
+    ) {
+        const report = {
+            success: false,
+            indexName: null,
+            stages: {
+                create: { status: 'pending' },
+                index: { status: 'pending', batches: 0, created: 0, updated: 0, errors: [] },
+                optimize: { status: 'pending' },
+                alias: { status: 'pending' },
+                cleanup: { status: 'pending' }
+            }
+        };
+
+        let currentStage = 'create';
+        try {
+            try {
+                report.indexName = await this.createTimestampedIndex(
+                    aliasName, mappings, settings, { waitForStatus, healthTimeout }
+                );
+            } catch (err) {
+                //An index that never got healthy still exists and is cleaned up below.
+                report.indexName = err.indexName || null;
+                throw err;
+            }
+            report.stages.create.status = 'completed';
+
+            const loadAndOptimize = async () => {
+                currentStage = 'index';
+                const indexReport = report.stages.index;
+                for await (const idDocArr of documentSource) {
+                    const res = await this.indexDocumentBulk(report.indexName, type, idDocArr, { pipeline });
+                    indexReport.batches++;
+                    indexReport.created += res.created.length;
+                    indexReport.updated += res.updated.length;
+                    indexReport.errors.push(...res.errors);
+
+                    if (indexReport.errors.length > maxDocumentErrors) {
+                        throw new Error(`Too many document errors (${indexReport.errors.length}) loading ${report.indexName}`);
+                    }
+                }
+                indexReport.status = 'completed';
+
+                currentStage = 'optimize';
+                if (optimize) {
+                    const optimizeRes = await this.optimizeIndex(
+                        report.indexName,
+                        typeof optimize === 'object' ? optimize : {}
+                    );
+                    Object.assign(report.stages.optimize, optimizeRes || {});
+                    report.stages.optimize.status = 'completed';
+                } else {
+                    report.stages.optimize.status = 'skipped';
+                }
+
+                //withBulkLoadSettings restores the settings after this, which readies the index for the swap.
+                currentStage = 'alias';
+            };
+
+            if (bulkLoadSettings) {
+                await this.withBulkLoadSettings(report.indexName, settings, loadAndOptimize);
+            } else {
+                await loadAndOptimize();
+            }
+
+            currentStage = 'alias';
+            await this.setAliasToSingleIndex(aliasName, report.indexName, swapGuards);
+            report.stages.alias.status = 'completed';
+        } catch (err) {
+            report.stages[currentStage].status = 'failed';
+            report.stages[currentStage].error = err.message;
+            this.logger.error(`Aliased load for ${aliasName} failed at the ${currentStage} stage. ${err.message}`);
+
+            //Remove the half-built index so it does not get picked up later.
+            if (report.indexName) {
+                try {
+                    await this.deleteIndex(report.indexName);
+                } catch (deleteErr) {
+                    //The leftover index is not aliased, so cleanupOldIndices deletes it once it is old enough.
+                }
+            }
+
+            Object.values(report.stages)
+                .filter(stage => stage.status === 'pending')
+                .forEach(stage => stage.status = 'skipped');
+
+            err.loadReport = report;
+            throw err;
+        }
+
+        report.success = true;
+
+        if (cleanup) {
+            try {
+                await this.cleanupOldIndices(aliasName, daysToKeep, minIndexesToKeep);
+                report.stages.cleanup.status = 'completed';
+            } catch (err) {
+                //The alias has already been swapped, so this is not fatal.
+                this.logger.error(`Could not cleanup old indices for ${aliasName}. ${err.message}`);
+                report.stages.cleanup.status = 'failed';
+                report.stages.cleanup.error = err.message;
+            }
+        } else {
+            report.stages.cleanup.status = 'skipped';
+        }
+
+        return report;
+    }
+
 }
 
 module.exports = ElasticTools;
@@ -0,0 +1,151 @@
+const { getErrorStatus } = require('./version-adapter');
+
+/**
+ * A lease on an alias, stored as a document in a lock index.  While held, the lease is
+ * renewed on an interval so it does not expire.  If the process dies the heartbeat stops
+ * and the lease expires on its own after the ttl.
+ */
+class AliasLock {
+
+    /**
+     * Creates a new instance of the AliasLock. Use ElasticTools.acquireAliasLock instead of
+     * creating this directly.
+     * @param {Object} logger The logger to use for logging
+     * @param {VersionAdapter} adapter The version adapter to make requests with
+     * @param {Object} options
+     * @param {string} options.aliasName The alias that is locked
+     * @param {string} options.owner The owner of the lock
+     * @param {string} options.lockIndex The index the lock document is stored in
+     * @param {Object} options.docParams The index, type and id params for the lock document
+     * @param {Number} options.ttl The time in ms before the lock expires without a heartbeat
+     * @param {Number} options.acquiredAt When the lock was acquired in ms since the epoch
+     * @param {Object} options.concurrency The concurrency params from the last write of the document
+     */
+    constructor(logger, adapter, { aliasName, owner, lockIndex, docParams, ttl, acquiredAt, concurrency }) {
+        this.logger = logger;
+        this.adapter = adapter;
+        this.aliasName = aliasName;
+        this.owner = owner;
+        this.lockIndex = lockIndex;
+        this.docParams = docParams;
+        this.ttl = ttl;
+        this.acquiredAt = acquiredAt;
+        this.concurrency = concurrency;
+        this.lost = false;
+        this.released = false;
+        this.timer = null;
+        this.pendingHeartbeat = null;
+    }
+
+    /**
+     * Starts renewing the lease.
+     * @param {Number} interval The time in ms between renewals
+     */
+    startHeartbeat(interval) {
+        this.timer = setInterval(() => {
+            this.pendingHeartbeat = this.heartbeat().catch(() => {
+                //heartbeat logs its own errors, there is nobody to throw to here.
+            });
+        }, interval);
+
+        // Do not keep the process alive just for the heartbeat.
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Stops renewing the lease.
+     */
+    stopHeartbeat() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Renews the lease. If someone else has taken the lock then it is marked as lost.
+     */
+    async heartbeat() {
+        if (this.lost || this.released) {
+            return;
+        }
+
+        const now = Date.now();
+        try {
+            const res = await this.adapter.call('index', {
+                ...this.docParams,
+                ...this.concurrency,
+                body: lockDocument(this.owner, this.acquiredAt, now + this.ttl)
+            });
+            this.concurrency = await this.adapter.getConcurrencyParams(res);
+        } catch (err) {
+            if (getErrorStatus(err) === 409) {
+                this.lost = true;
+                this.stopHeartbeat();
+                this.logger.error(`Lost the lock on alias ${this.aliasName}, it was taken by another owner`);
+            } else {
+                this.logger.error(`Could not renew the lock on alias ${this.aliasName}. ${err.message}`);
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Releases the lock so other loaders can acquire it.
+     */
+    async release() {
+        this.stopHeartbeat();
+
+        if (this.released) {
+            return;
+        }
+        this.released = true;
+
+        //A renewal that is already sent changes the version the delete has to match.
+        if (this.pendingHeartbeat) {
+            await this.pendingHeartbeat;
+        }
+
+        if (this.lost) {
+            this.logger.warn(`Not releasing the lock on alias ${this.aliasName}, it was already lost`);
+            return;
+        }
+
+        try {
+            await this.adapter.call('delete', {
+                ...this.docParams,
+                ...this.concurrency
+            });
+        } catch (err) {
+            //Someone else has it now, or it is already gone, either way it is not ours.
+            if ([404, 409].includes(getErrorStatus(err))) {
+                this.logger.warn(`The lock on alias ${this.aliasName} was no longer held by ${this.owner}`);
+                return;
+            }
+
+            this.logger.error(`Could not release the lock on alias ${this.aliasName}`);
+            throw err;
+        }
+    }
+}
+
+/**
+ * Creates the document stored for a lock.
+ * @param {string} owner The owner of the lock
+ * @param {Number} acquiredAt When the lock was acquired in ms since the epoch
+ * @param {Number} expiresAt When the lock expires in ms since the epoch
+ */
+function lockDocument(owner, acquiredAt, expiresAt) {
+    return {
+        owner,
+        acquired_at: acquiredAt,
+        expires_at: expiresAt
+    };
+}
+
+module.exports = {
+    AliasLock,
+    lockDocument
+};
@@ -0,0 +1,104 @@
+const moment                = require('moment');
+
+const SECONDS_FORMAT = 'YYYYMMDD_HHmmss';
+const MILLISECONDS_FORMAT = 'YYYYMMDD_HHmmssSSS';
+
+// A timestamp with optional milliseconds, followed by an optional run id.
+const TIMESTAMP_REGEX = /^(\d{8}_\d{6})(\d{3})?(?:_[a-z0-9][a-z0-9_-]*)?$/;
+
+/**
+ * @typedef {Object} NamingStrategy
+ * @property {Function} format Creates an index name from a prefix and a Date, e.g. format('myalias', new Date())
+ * @property {Function} parse Gets the time in ms since the epoch from an index name given the prefix, e.g.
+ * parse('myalias', 'myalias_20240101_030405'). Returns null if the name does not match.
+ */
+
+/**
+ * The default naming strategy, which names indices <name>_<timestamp>[_<runId>].  The timestamp is
+ * YYYYMMDD_HHmmss, or YYYYMMDD_HHmmssSSS with milliseconds.
+ */
+class TimestampNamingStrategy {
+
+    /**
+     * Creates a new instance of the TimestampNamingStrategy
+     * @param {Object} options
+     * @param {boolean} options.utc Use UTC for the timestamps instead of the server's local time (Default: false)
+     * @param {boolean} options.milliseconds Add milliseconds to the timestamps (Default: false)
+     * @param {string} options.runId A suffix to add after the timestamp, e.g. a build number, so
+     * loaders starting at the same time do not collide. Lowercase letters, digits, _ and - only.
+     */
+    constructor({ utc = false, milliseconds = false, runId } = {}) {
+        if (runId !== undefined && runId !== null && !/^[a-z0-9][a-z0-9_-]*$/.test(String(runId))) {
+            throw new Error(`Invalid run id ${runId}, it can only contain lowercase letters, digits, _ and -`);
+        }
+
+        this.utc = utc;
+        this.timestampFormat = milliseconds ? MILLISECONDS_FORMAT : SECONDS_FORMAT;
+        this.runId = (runId === undefined || runId === null) ? null : String(runId);
+    }
+
+    /**
+     * Creates the name of a timestamped index.
+     * @param {string} name The index name prefix
+     * @param {Date} date The time of the index (Default: now)
+     * @returns {string} The index name
+     */
+    format(name, date = new Date()) {
+        const time = this.utc ? moment.utc(date) : moment(date);
+        return `${name}_${time.format(this.timestampFormat)}${this.runId ? `_${this.runId}` : ''}`;
+    }
+
+    /**
+     * Gets the time from the name of a timestamped index. Names with or without milliseconds and
+     * with any run id are understood, so indices from differently configured loaders can be compared.
+     * @param {string} name The index name prefix
+     * @param {string} indexName The name of the index
+     * @returns {Number} The time in ms since the epoch, or null if the index name does not match
+     */
+    parse(name, indexName) {
+        const prefix = `${name}_`;
+        if (!indexName.startsWith(prefix)) {
+            return null;
+        }
+
+        const match = indexName.substring(prefix.length).match(TIMESTAMP_REGEX);
+        if (!match) {
+            return null;
+        }
+
+        const [ , seconds, millis ] = match;
+        const text = seconds + (millis || '');
+        const format = millis ? MILLISECONDS_FORMAT : SECONDS_FORMAT;
+        const time = this.utc ? moment.utc(text, format, true) : moment(text, format, true);
+
+        return time.isValid() ? time.valueOf() : null;
+    }
+}
+
+/**
+ * Creates the naming strategy for the ElasticTools naming option.
+ * @param {(Object|Function)} naming Either the options for the TimestampNamingStrategy, a custom
+ * NamingStrategy, or just a custom format function. Without a parse function the names cannot be
+ * parsed, so cleanup falls back to the creation date and rollback is not possible.
+ * @returns {NamingStrategy} The naming strategy
+ */
+function createNamingStrategy(naming = {}) {
+    if (typeof naming === 'function') {
+        return { format: naming, parse: () => null };
+    }
+
+    if (typeof naming.format === 'function') {
+        if (typeof naming.parse === 'function') {
+            return naming;
+        }
+
+        return { format: (...args) => naming.format(...args), parse: () => null };
+    }
+
+    return new TimestampNamingStrategy(naming);
+}
+
+module.exports = {
+    TimestampNamingStrategy,
+    createNamingStrategy
+};
@@ -0,0 +1,208 @@
+// Mapping parameters that can be changed on an existing field with put-mapping.
+const UPDATABLE_PARAMETERS = [ 'ignore_above', 'search_analyzer', 'search_quote_analyzer', 'boost' ];
+
+// The defaults of mapping parameters that GET _mapping leaves out, when they do not depend on the field type.
+const DEFAULT_PARAMETERS = {
+    index: true,
+    doc_values: true,
+    store: false,
+    enabled: true,
+    coerce: true,
+    ignore_malformed: false,
+    eager_global_ordinals: false,
+    fielddata: false,
+    term_vector: 'no',
+    boost: 1
+};
+
+// Mapping parameters that choose the analysis of a field.
+const ANALYZER_PARAMETERS = [ 'analyzer', 'search_analyzer', 'search_quote_analyzer', 'normalizer' ];
+
+/**
+ * @typedef {Object} MappingChange
+ * @property {string} field The path of the field, e.g. docs.key or body._fulltext for a multi-field
+ * @property {string} parameter The changed mapping parameter (for analyzer and parameter changes)
+ * @property {*} from The live value (undefined for added fields)
+ * @property {*} to The local value (undefined for removed fields)
+ * @property {string} classification Either compatible (can be applied with put-mapping) or breaking
+ * (requires a new index)
+ */
+
+/**
+ * @typedef {Object} MappingDiff
+ * @property {MappingChange[]} added The fields only in the local mapping
+ * @property {MappingChange[]} removed The fields only in the live mapping
+ * @property {MappingChange[]} changedTypes The fields whose type changed
+ * @property {MappingChange[]} changedAnalyzers The fields whose analyzer, search analyzer or normalizer changed
+ * @property {MappingChange[]} changedParameters The fields whose other mapping parameters changed
+ * @property {boolean} compatible True if every change can be applied with put-mapping
+ * @property {string[]} breakingFields The fields with breaking changes
+ */
+
+/**
+ * Gets the mapping type of a mapping. The mapping can be in the format passed to createIndex
+ * ({ mappings: {...} }) or just the contents of mappings.
+ * @param {Object} mapping The mapping
+ * @returns {string} The name of the type, or null if the mapping is typeless
+ */
+function getMappingType(mapping) {
+    const mappings = (mapping && mapping.mappings) || mapping || {};
+
+    if (mappings.properties) {
+        return null;
+    }
+
+    //The _default_ type is only a template for new types.
+    const types = Object.keys(mappings).filter(type => type !== '_default_');
+    if (types.length > 1) {
+        throw new Error(`Cannot compare a mapping with more than one type: ${types.join(', ')}`);
+    }
+
+    return types.length ? types[0] : null;
+}
+
+/**
+ * Gets a mapping without its type, e.g. { properties: {...}, dynamic: false }.
+ * @param {Object} mapping The mapping, with or without a mapping type
+ * @returns {Object} The contents of the mapping
+ */
+function getTypelessMapping(mapping) {
+    const mappings = (mapping && mapping.mappings) || mapping || {};
+    const type = getMappingType(mappings);
+
+    if (type) {
+        return mappings[type];
+    }
+
+    //Typeless, or a mapping with only a _default_ type.
+    return mappings.properties ? mappings : {};
+}
+
+/**
+ * Gets the properties from a mapping, with or without a mapping type.
+ * @param {Object} mapping The mapping
+ * @returns {Object} The properties of the mapping
+ */
+function getMappingProperties(mapping) {
+    return getTypelessMapping(mapping).properties || {};
+}
+
+/**
+ * Flattens mapping properties into a map of field paths to their mapping parameters. Object
+ * and nested fields are expanded with their properties, multi-fields with their fields.
+ * @param {Object} properties The properties of a mapping
+ * @param {string} prefix The path of the parent field
+ * @returns {Object} The field parameters (without properties or fields) keyed on the field path
+ */
+function flattenProperties(properties, prefix = '') {
+    return Object.keys(properties || {}).reduce((ac, name) => {
+        const path = prefix + name;
+        const { properties: subProperties, fields, ...params } = properties[name];
+
+        ac[path] = {
+            type: params.type || (subProperties ? 'object' : undefined),
+            ...params
+        };
+
+        return {
+            ...ac,
+            ...flattenProperties(subProperties, `${path}.`),
+            ...flattenProperties(fields, `${path}.`)
+        };
+    }, {});
+}
+
+/**
+ * Compares two values of a mapping parameter.
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Gets the value of a mapping parameter of a field, or its default when the parameter is not set.
+ * @param {Object} params The mapping parameters of the field
+ * @param {string} parameter The name of the parameter
+ */
+function getParameter(params, parameter) {
+    return parameter in params ? params[parameter] : DEFAULT_PARAMETERS[parameter];
+}
+
+/**
+ * Compares a live mapping with a local mapping definition.
+ * @param {Object} liveMapping The mapping of the live index
+ * @param {Object} localMapping The local mapping definition
+ * @returns {MappingDiff} The differences
+ */
+function compareMappings(liveMapping, localMapping) {
+    const live = flattenProperties(getMappingProperties(liveMapping));
+    const local = flattenProperties(getMappingProperties(localMapping));
+
+    const diff = {
+        added: [],
+        removed: [],
+        changedTypes: [],
+        changedAnalyzers: [],
+        changedParameters: []
+    };
+
+    Object.keys(local)
+        .filter(field => !live[field])
+        .forEach(field => diff.added.push({ field, to: local[field], classification: 'compatible' }));
+
+    Object.keys(live)
+        .filter(field => !local[field])
+        .forEach(field => diff.removed.push({ field, from: live[field], classification: 'breaking' }));
+
+    Object.keys(local)
+        .filter(field => live[field])
+        .forEach(field => {
+            const from = live[field];
+            const to = local[field];
+
+            if (from.type !== to.type) {
+                diff.changedTypes.push({ field, from: from.type, to: to.type, classification: 'breaking' });
+                return;
+            }
+
+            const parameters = [ ...new Set([ ...Object.keys(from), ...Object.keys(to) ]) ]
+                .filter(parameter => parameter !== 'type' &&
+                    !sameValue(getParameter(from, parameter), getParameter(to, parameter)));
+
+            parameters.forEach(parameter => {
+                const change = {
+                    field,
+                    parameter,
+                    from: from[parameter],
+                    to: to[parameter],
+                    classification: UPDATABLE_PARAMETERS.includes(parameter) ? 'compatible' : 'breaking'
+                };
+
+                if (ANALYZER_PARAMETERS.includes(parameter)) {
+                    diff.changedAnalyzers.push(change);
+                } else {
+                    diff.changedParameters.push(change);
+                }
+            });
+        });
+
+    const breakingFields = [
+        ...diff.removed, ...diff.changedTypes, ...diff.changedAnalyzers, ...diff.changedParameters
+    ]
+        .filter(change => change.classification === 'breaking')
+        .map(change => change.field);
+
+    return {
+        ...diff,
+        compatible: breakingFields.length === 0,
+        breakingFields: [ ...new Set(breakingFields) ]
+    };
+}
+
+module.exports = {
+    compareMappings,
+    flattenProperties,
+    getMappingProperties,
+    getMappingType,
+    getTypelessMapping
+};
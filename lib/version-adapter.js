@@ -0,0 +1,238 @@
+/**
+ * @typedef {Object} ClusterVersion
+ * @property {string} distribution Either 'elasticsearch' or 'opensearch'
+ * @property {string} number The full version number. e.g. 7.10.2
+ * @property {Number} major The major version number
+ * @property {Number} minor The minor version number
+ */
+
+/**
+ * This class hides the differences between the cluster versions and the clients
+ * used to talk to them.  It supports the legacy elasticsearch client, the
+ * @elastic/elasticsearch client (7.x and 8.x) and the OpenSearch client.
+ */
+class VersionAdapter {
+
+    /**
+     * Creates a new instance of the VersionAdapter
+     * @param {Object} client The elasticsearch client to use.
+     * @param {Object} options
+     * @param {string} options.version The cluster version (e.g. 5.6, 7.10.2). When not set the version
+     * is taken from the apiVersion of a legacy client, or fetched from the cluster.
+     * @param {string} options.distribution Either 'elasticsearch' or 'opensearch' (Default: elasticsearch)
+     */
+    constructor(client, { version, distribution = 'elasticsearch' } = {}) {
+        this.client = client;
+
+        // The @elastic/elasticsearch and OpenSearch clients both have a connection pool,
+        // the legacy client does not.
+        this.isLegacyClient = !(client.connectionPool || client.helpers);
+
+        // The legacy client is configured for a specific version, so use that if it is a real version.
+        if (
+            !version && this.isLegacyClient && client.transport && client.transport._config &&
+            /^\d/.test(client.transport._config.apiVersion)
+        ) {
+            version = client.transport._config.apiVersion;
+        }
+
+        this.version = version ? parseVersion(version, distribution) : null;
+    }
+
+    /**
+     * Gets the version of the cluster. If it was not configured this will fetch it
+     * from the cluster the first time it is called.
+     * @returns {ClusterVersion} the cluster version
+     */
+    async getVersion() {
+        if (!this.version) {
+            const info = await this.call('info', {});
+            this.version = parseVersion(info.version.number, info.version.distribution);
+        }
+
+        return this.version;
+    }
+
+    /**
+     * Determines if the cluster still requires mapping types on documents and mappings.
+     * Types were removed in Elasticsearch 7, and never existed in OpenSearch.
+     */
+    async usesTypes() {
+        const { distribution, major } = await this.getVersion();
+        return distribution === 'elasticsearch' && major < 7;
+    }
+
+    /**
+     * Determines if the cluster is at least a version of Elasticsearch. OpenSearch is
+     * treated as Elasticsearch 7.10, the version it was forked from.
+     * @param {Number} major The major version
+     * @param {Number} minor The minor version (Default: 0)
+     */
+    async isAtLeast(major, minor = 0) {
+        const version = await this.getVersion();
+        const esVersion = version.distribution === 'opensearch' ? { major: 7, minor: 10 } : version;
+
+        return esVersion.major > major || (esVersion.major === major && esVersion.minor >= minor);
+    }
+
+    /**
+     * Gets the optimistic concurrency control params needed to update a document only if
+     * it has not changed since it was read or written. Versions before Elasticsearch 6.7 use
+     * the document version, later ones use the sequence number and primary term.
+     * @param {Object} res The response of a get, index or create request
+     */
+    async getConcurrencyParams(res) {
+        if (await this.isAtLeast(6, 7)) {
+            return {
+                if_seq_no: res._seq_no,
+                if_primary_term: res._primary_term
+            };
+        }
+
+        return {
+            version: res._version
+        };
+    }
+
+    /**
+     * Calls a client API, returning just the response body no matter which client is used.
+     * @param {string} api The API to call, e.g. 'bulk' or 'indices.create'
+     * @param {Object} params The request parameters (use snake_case for query string parameters)
+     * @param {Object} options
+     * @param {Number} options.requestTimeout The request timeout in ms
+     * @param {Number[]} options.ignore HTTP statuses that should not be treated as errors
+     */
+    async call(api, params, { requestTimeout, ignore } = {}) {
+        const path = api.split('.');
+        const method = path.pop();
+        const namespace = path.reduce((obj, name) => obj && obj[name], this.client);
+
+        if (!namespace || typeof namespace[method] !== 'function') {
+            throw new Error(`The ${api} API is not supported by this client`);
+        }
+
+        if (this.isLegacyClient) {
+            return await namespace[method]({
+                ...toLegacyParams(namespace[method].spec, params),
+                ...(requestTimeout ? { requestTimeout } : {}),
+                ...(ignore ? { ignore } : {})
+            });
+        }
+
+        const res = await namespace[method](params, {
+            ...(requestTimeout ? { requestTimeout } : {}),
+            ...(ignore ? { ignore } : {})
+        });
+
+        // The 7.x and OpenSearch clients wrap the body, the 8.x client does not.
+        if (res && typeof res === 'object' && 'body' in res && 'statusCode' in res) {
+            return res.body;
+        }
+        return res;
+    }
+
+    /**
+     * Removes the type level from a mapping (e.g. { mappings: { doc: { properties: {} } } }),
+     * if the cluster does not support types.
+     * @param {Object} mapping the index mapping, in the format passed to createIndex
+     */
+    async toVersionedMapping(mapping) {
+        if (!mapping || !mapping.mappings || await this.usesTypes()) {
+            return mapping;
+        }
+
+        const typeNames = Object.keys(mapping.mappings);
+        if (
+            typeNames.length === 1 &&
+            !MAPPING_ROOT_KEYS.includes(typeNames[0]) &&
+            mapping.mappings[typeNames[0]].properties
+        ) {
+            return {
+                ...mapping,
+                mappings: mapping.mappings[typeNames[0]]
+            };
+        }
+
+        return mapping;
+    }
+}
+
+// The keys that can be at the root of a typeless mapping.
+const MAPPING_ROOT_KEYS = [
+    'properties', 'dynamic', 'dynamic_templates', 'date_detection', 'numeric_detection',
+    '_source', '_routing', '_meta', '_field_names', 'runtime'
+];
+
+/**
+ * The legacy client only knows the camelCase names of its url parameters (e.g. taskId), so
+ * convert any snake_case parameters it knows about. Unknown parameters are passed as is on
+ * the query string.
+ * @param {Object} spec The spec of the legacy client API method
+ * @param {Object} params The request parameters
+ */
+function toLegacyParams(spec, params) {
+    if (!spec) {
+        return params;
+    }
+
+    const urls = [ ...(spec.url ? [spec.url] : []), ...(spec.urls || []) ];
+    const knownKeys = [
+        ...Object.keys(spec.params || {}),
+        ...urls.reduce((ac, url) => [ ...ac, ...Object.keys(url.req || {}), ...Object.keys(url.opt || {}) ], [])
+    ];
+
+    return Object.keys(params).reduce((ac, key) => {
+        const camelKey = key.replace(/_([a-z])/g, (match, chr) => chr.toUpperCase());
+        ac[knownKeys.includes(camelKey) ? camelKey : key] = params[key];
+        return ac;
+    }, {});
+}
+
+/**
+ * Parses a version string into a ClusterVersion.
+ * @param {string} version The version, e.g. 5.6, 7.x or 2.11.0
+ * @param {string} distribution Either 'elasticsearch' or 'opensearch' (Default: elasticsearch)
+ * @returns {ClusterVersion} the version
+ */
+function parseVersion(version, distribution = 'elasticsearch') {
+    const [major, minor] = String(version).split('.').map(part => Number.parseInt(part));
+
+    if (Number.isNaN(major)) {
+        throw new Error(`Unknown cluster version: ${version}`);
+    }
+
+    return {
+        distribution,
+        number: String(version),
+        major,
+        minor: Number.isNaN(minor) || minor === undefined ? 0 : minor
+    };
+}
+
+/**
+ * Gets the HTTP status of an error thrown by any of the supported clients.
+ * @param {Error} err The error thrown by the client
+ */
+function getErrorStatus(err) {
+    if (err.meta && err.meta.statusCode) {
+        return err.meta.statusCode;
+    }
+    return err.statusCode || err.status;
+}
+
+/**
+ * Determines if an error thrown by any of the supported clients is a timeout, either a
+ * gateway timeout from the cluster or the client giving up on the request.
+ * @param {Error} err The error thrown by the client
+ */
+function isTimeoutError(err) {
+    // The legacy client throws a RequestTimeout (with a 408 status), the newer ones a TimeoutError.
+    return [408, 504].includes(getErrorStatus(err)) || err.name === 'TimeoutError';
+}
+
+module.exports = {
+    VersionAdapter,
+    parseVersion,
+    getErrorStatus,
+    isTimeoutError
+};